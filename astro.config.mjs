@@ -2,11 +2,43 @@
 import { defineConfig } from 'astro/config';
 import mdx from '@astrojs/mdx';
 import netlify from '@astrojs/netlify';
+import sitemap from './src/integrations/sitemap.js';
+import remarkFaq from './src/plugins/remark-faq.js';
+import remarkReadingTime from './src/plugins/remark-reading-time.js';
 
 // https://astro.build/config
 export default defineConfig({
+  site: 'https://aiperformanceoptimization.com',
   integrations: [
-    mdx()
+    mdx({
+      // Word count, reading time and <FAQ> questions for every MDX page; see
+      // remarkPluginFrontmatter
+      remarkPlugins: [remarkReadingTime, remarkFaq]
+    }),
+    sitemap({
+      rules: [
+        { match: '/', priority: 1.0, changefreq: 'weekly' },
+        { match: '/learn', priority: 0.9, changefreq: 'weekly' },
+        { match: '/learn/getting-started', priority: 0.8, changefreq: 'monthly' },
+        { match: '/learn/category/*', priority: 0.8, changefreq: 'weekly' },
+        { match: '/learn/**', priority: 0.7, changefreq: 'monthly' },
+        { match: '/blog', priority: 0.8, changefreq: 'weekly' },
+        { match: '/blog/category/**', priority: 0.5, changefreq: 'weekly' },
+        { match: '/blog/**', priority: 0.6, changefreq: 'monthly' },
+        { match: '/sitemap', priority: 0.6, changefreq: 'monthly' }
+      ],
+      defaults: { priority: 0.7, changefreq: 'monthly' },
+      // Articles and posts with generated hero art have it at /images/<slug>.png;
+      // entries are only emitted when the file exists
+      images: [
+        { match: '/learn/*', src: '/images/[slug].png' },
+        { match: '/blog/*', src: '/images/[slug].png' }
+      ],
+      groups: {
+        learn: '/learn/**',
+        blog: '/blog/**'
+      }
+    })
   ],
   adapter: netlify(),
   trailingSlash: 'never',
@@ -18,4 +50,4 @@ export default defineConfig({
       entrypoint: 'astro/assets/services/sharp'
     }
   }
-});
\ No newline at end of file
+});
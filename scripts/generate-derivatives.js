@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import sharp from 'sharp';
+import { writeFileAtomic } from './lib/download.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT = path.join(__dirname, '..');
+const MASTERS_DIR = path.join(ROOT, 'public/images');
+const DERIVED_DIR = path.join(MASTERS_DIR, 'derived');
+const MANIFEST_PATH = path.join(ROOT, 'src/data/image-manifest.json');
+
+// Bump when the variant list or encoder settings change so every image
+// is rebuilt on the next run
+const PIPELINE_VERSION = 1;
+
+// Responsive variants cut from each master. A fixed aspect ratio crops to
+// the most salient region; otherwise the master's ratio is kept. Widths above the
+// master's width are clamped to it rather than upscaled, except for Open Graph,
+// which social networks expect at exactly 1200x630.
+const VARIANTS = {
+  card: { widths: [400, 800], aspect: 2, formats: ['avif', 'webp'] },
+  hero: { widths: [768, 1280, 1792], formats: ['avif', 'webp'] },
+  og: { widths: [1200], aspect: 1200 / 630, upscale: true, formats: ['jpg', 'webp', 'avif'] }
+};
+
+// AVIF effort 2 is several times faster than the default with files only a
+// few percent larger, which keeps a clean build to a couple of minutes
+const ENCODERS = {
+  avif: image => image.avif({ quality: 50, effort: 2 }),
+  webp: image => image.webp({ quality: 75 }),
+  jpg: image => image.jpeg({ quality: 80, mozjpeg: true })
+};
+
+function hashFile(filepath) {
+  return crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(filepath))
+    .update(`\n${PIPELINE_VERSION}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+}
+
+function saveManifest(manifest) {
+  const sorted = Object.fromEntries(Object.keys(manifest).sort().map(id => [id, manifest[id]]));
+  fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+// Every file an entry points at, as paths on disk
+function entryFiles(entry) {
+  return Object.values(entry.variants)
+    .flatMap(formats => Object.values(formats).flat())
+    .map(file => path.join(ROOT, 'public', file.src));
+}
+
+function isUpToDate(entry, hash) {
+  return entry?.hash === hash && entryFiles(entry).every(file => fs.existsSync(file));
+}
+
+// Output sizes of one variant. Widths beyond the master collapse to the
+// master's own width unless the variant allows upscaling.
+function variantSizes(variant, master) {
+  const widths = variant.upscale
+    ? variant.widths
+    : [...new Set(variant.widths.map(width => Math.min(width, master.width)))];
+  const aspect = variant.aspect || master.width / master.height;
+  return widths.map(width => ({ width, height: Math.round(width / aspect) }));
+}
+
+/**
+ * Write every variant of one master and return its manifest entry.
+ *
+ * @param {string} id
+ * @param {string} hash
+ */
+async function deriveImage(id, hash) {
+  const masterPath = path.join(MASTERS_DIR, `${id}.png`);
+  const master = await sharp(masterPath).metadata();
+  const outputDir = path.join(DERIVED_DIR, id);
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const variants = {};
+  for (const [variantName, variant] of Object.entries(VARIANTS)) {
+    const sizes = variantSizes(variant, master);
+
+    variants[variantName] = {};
+    for (const format of variant.formats) {
+      variants[variantName][format] = [];
+      for (const { width, height } of sizes) {
+        const filename = `${variantName}-${width}.${format}`;
+        const image = sharp(masterPath).resize(width, height, { fit: 'cover', position: 'attention' });
+        await writeFileAtomic(path.join(outputDir, filename), await ENCODERS[format](image).toBuffer());
+        variants[variantName][format].push({ src: `/images/derived/${id}/${filename}`, width, height });
+      }
+    }
+  }
+
+  return {
+    src: `/images/${id}.png`,
+    width: master.width,
+    height: master.height,
+    hash,
+    variants
+  };
+}
+
+/**
+ * Bring the derivatives and manifest in line with the masters in
+ * public/images. Unchanged masters are skipped, and derivatives of deleted
+ * masters are removed.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Rebuild every image.
+ * @param {string[]} [options.only] - Limit the run to these ids.
+ */
+async function generateDerivatives({ force = false, only = null } = {}) {
+  const manifest = loadManifest();
+  const ids = fs.readdirSync(MASTERS_DIR)
+    .filter(file => file.endsWith('.png'))
+    .map(file => path.basename(file, '.png'))
+    .sort();
+
+  for (const id of Object.keys(manifest)) {
+    if (!ids.includes(id)) {
+      console.log(`Removing derivatives of deleted image: ${id}`);
+      fs.rmSync(path.join(DERIVED_DIR, id), { recursive: true, force: true });
+      delete manifest[id];
+    }
+  }
+
+  const selected = only ? ids.filter(id => only.includes(id)) : ids;
+  let built = 0;
+  const failures = [];
+  for (const id of selected) {
+    const hash = hashFile(path.join(MASTERS_DIR, `${id}.png`));
+    if (!force && isUpToDate(manifest[id], hash)) {
+      continue;
+    }
+    console.log(`Deriving ${id}`);
+    try {
+      manifest[id] = await deriveImage(id, hash);
+      built++;
+    } catch (error) {
+      failures.push({ id, error: error.message });
+    }
+  }
+
+  saveManifest(manifest);
+  console.log(`Image derivatives: ${built} built, ${selected.length - built - failures.length} up to date`);
+
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} image(s) failed:`);
+    failures.forEach(({ id, error }) => console.error(`  - ${id}: ${error}`));
+    process.exitCode = 1;
+  }
+}
+
+// Command line interface
+const { values: flags, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    force: { type: 'boolean', default: false }
+  }
+});
+
+generateDerivatives({ force: flags.force, only: positionals.length > 0 ? positionals : null }).catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
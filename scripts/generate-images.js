@@ -1,41 +1,31 @@
-import OpenAI from 'openai';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import https from 'https';
+import { parseArgs } from 'util';
+import { createProvider, estimateCost, getRateLimit, DEFAULT_PROVIDER, PROVIDERS } from './image-providers/index.js';
+import { readFrontmatter } from './lib/content-files.js';
+import { downloadImage, writeFileAtomic } from './lib/download.js';
+import { createRateLimiter } from './lib/rate-limiter.js';
+import { withRetry } from './lib/retry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize OpenAI
-let apiKey = process.env.OPENAI_API_KEY;
-if (!apiKey) {
-  try {
-    const credPath = path.join(__dirname, '../credentials-openai.txt');
-    if (fs.existsSync(credPath)) {
-      const lines = fs.readFileSync(credPath, 'utf-8').split('\n');
-      apiKey = lines[0].trim();
-    }
-  } catch (e) {
-    // Ignore, will error below if still not set
+// Image provider, chosen with --provider <name> or IMAGE_PROVIDER
+// (openai, gemini or local) and created on first use
+let providerName = process.env.IMAGE_PROVIDER || DEFAULT_PROVIDER;
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    provider = createProvider(providerName);
   }
+  return provider;
 }
 
-const openai = new OpenAI({
-  apiKey,
-});
-
-// Theme colors for consistency
-const THEME_COLORS = {
-  primary: '#1B365D',
-  secondary: '#009BDF', 
-  accent: '#00BFB3',
-  light: '#E6F1F8',
-  dark: '#0A192F',
-  white: '#FFFFFF',
-  gray: '#F5F7FA',
-  orange: '#FF6B35'
-};
+// Theme colors for consistency, shared with the site's Open Graph cards
+const THEME_COLORS = JSON.parse(fs.readFileSync(path.join(__dirname, '../src/data/theme.json'), 'utf-8'));
 
 // Base image generation configurations
 const BASE_CONFIGS = {
@@ -101,42 +91,11 @@ const IMAGE_CONFIGS = {
     ]
   },
   
-  // Hero background images (wide format for hero sections)
-  heroBackgrounds: {
-    ...BASE_CONFIGS.heroBackground,
-    images: [
-      {
-        id: 'ai-optimization-hero',
-        title: 'AI Performance Optimization',
-        specificElements: 'Abstract technological landscape with floating neural network nodes, data streams, performance metrics visualizations, and optimization symbols. Subtle geometric patterns and light particles creating depth.',
-        accent: 'teal highlights'
-      }
-    ]
-  },
-
-  // Learning center page heroes
-  learningHeroes: {
-    ...BASE_CONFIGS.pageHero,
-    images: [
-      {
-        id: 'learning-center-hero',
-        title: 'AI Performance Learning Center',
-        specificElements: 'Abstract educational and knowledge elements including flowing data streams, interconnected learning nodes, book and document symbols, graduation elements, and neural network patterns representing knowledge transfer. Subtle geometric patterns suggesting growth and learning.',
-        accent: 'warm orange and teal'
-      }
-    ]
-  },
-
-  // Learning article cards (for /learn page cards and individual article heroes)
-  learningArticles: {
+  // Topic art in public/images that no article is named after, so it has no
+  // frontmatter to drive it
+  topicCards: {
     ...BASE_CONFIGS.featureCard,
     images: [
-      {
-        id: 'getting-started',
-        title: 'Getting Started with AI Resource Optimization',
-        specificElements: 'Abstract beginner-friendly elements including simple geometric shapes, upward arrows showing growth, lightbulb icons for learning, foundation blocks, and step-by-step progression symbols.',
-        accentColor: 'soft greens'
-      },
       {
         id: 'cost-optimization-strategies',
         title: 'AI Cost Optimization Strategies',
@@ -149,30 +108,12 @@ const IMAGE_CONFIGS = {
         specificElements: 'Abstract monitoring elements including dashboard graphs, real-time metrics displays, performance charts, system health indicators, and monitoring screens.',
         accentColor: 'oranges and teals'
       },
-      {
-        id: 'major-ai-provider-integration',
-        title: 'Major AI Provider Integration',
-        specificElements: 'Abstract integration elements including interconnected nodes, API connection symbols, multiple provider logos abstracted, integration patterns, and unified system diagrams.',
-        accentColor: 'blues and greens'
-      },
       {
         id: 'error-handling-and-recovery',
         title: 'AI Error Handling and Recovery',
         specificElements: 'Abstract reliability elements including shield symbols, error recovery patterns, circuit breaker icons, failover mechanisms, and system resilience graphics.',
         accentColor: 'reds and oranges'
       },
-      {
-        id: 'unified-ai-model-management',
-        title: 'Unified AI Model Management',
-        specificElements: 'Abstract management elements including centralized hub diagrams, model organization charts, unified control panels, and systematic arrangement patterns.',
-        accentColor: 'teals and blues'
-      },
-      {
-        id: 'monitoring-ai-model-health',
-        title: 'Monitoring AI Model Health',
-        specificElements: 'Abstract health monitoring elements including vital signs graphics, health check indicators, system status displays, and diagnostic monitoring patterns.',
-        accentColor: 'greens and blues'
-      },
       {
         id: 'intelligent-routing',
         title: 'Intelligent AI Routing',
@@ -184,37 +125,83 @@ const IMAGE_CONFIGS = {
         title: 'AI Token Optimization',
         specificElements: 'Abstract token optimization elements including compression symbols, efficiency indicators, token flow diagrams, and optimization patterns.',
         accentColor: 'golds and oranges'
-      },
+      }
+    ]
+  },
+
+  // Hero background images (wide format for hero sections)
+  heroBackgrounds: {
+    ...BASE_CONFIGS.heroBackground,
+    images: [
       {
-        id: 'popular-optimization-platforms',
-        title: 'Popular AI Optimization Platforms',
-        specificElements: 'Abstract platform comparison elements including side-by-side comparison charts, platform selection matrices, feature comparison grids, and evaluation frameworks.',
-        accentColor: 'blues and purples'
-      },
+        id: 'ai-optimization-hero',
+        title: 'AI Performance Optimization',
+        specificElements: 'Abstract technological landscape with floating neural network nodes, data streams, performance metrics visualizations, and optimization symbols. Subtle geometric patterns and light particles creating depth.',
+        accent: 'teal highlights'
+      }
+    ]
+  },
+
+  // Learning center page heroes
+  learningHeroes: {
+    ...BASE_CONFIGS.pageHero,
+    images: [
       {
-        id: 'ai-model-routing-management-platforms-comparison',
-        title: 'AI Model Routing and Management Platforms',
-        specificElements: 'Abstract routing and management elements including interconnected routing paths, platform comparison matrices, management dashboards, intelligent routing symbols, and developer tools icons.',
-        accentColor: 'teals and blues'
+        id: 'learning-center-hero',
+        title: 'AI Performance Learning Center',
+        specificElements: 'Abstract educational and knowledge elements including flowing data streams, interconnected learning nodes, book and document symbols, graduation elements, and neural network patterns representing knowledge transfer. Subtle geometric patterns suggesting growth and learning.',
+        accent: 'warm orange and teal'
       }
     ]
   }
 };
 
-async function downloadImage(url, filepath) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(filepath);
-    https.get(url, (response) => {
-      response.pipe(file);
-      file.on('finish', () => {
-        file.close();
-        resolve();
-      });
-    }).on('error', (err) => {
-      fs.unlink(filepath, () => {}); // Delete the file on error
-      reject(err);
+// Content collections whose entries get generated art, keyed by image set name.
+// Each entry's image is driven by the optional `image` block in its frontmatter.
+const CONTENT_SETS = {
+  learningArticles: 'learn',
+  blogPosts: 'blog'
+};
+
+const CONTENT_DIR = path.join(__dirname, '../src/content');
+const MANIFEST_PATH = path.join(__dirname, 'generated-images.json');
+
+// Build image configs for every entry in a content collection
+function loadContentImages(collection) {
+  const dir = path.join(CONTENT_DIR, collection);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => /\.mdx?$/.test(file))
+    .sort()
+    .map(file => {
+      const id = file.replace(/\.mdx?$/, '');
+      const { title, image = {} } = readFrontmatter(path.join(dir, file));
+      const baseConfig = image.baseConfig || 'featureCard';
+      if (!BASE_CONFIGS[baseConfig]) {
+        throw new Error(`Unknown base config type "${baseConfig}" in ${collection}/${file}`);
+      }
+      if (!image.specificElements) {
+        console.warn(`No image.specificElements in ${collection}/${file}; using a generic prompt.`);
+      }
+      return {
+        id,
+        title,
+        baseConfig,
+        specificElements: image.specificElements || 'Abstract, geometric, technology-inspired elements.',
+        accentColor: image.accentColor
+      };
     });
-  });
+}
+
+// Add the content-driven image sets to IMAGE_CONFIGS
+for (const [setName, collection] of Object.entries(CONTENT_SETS)) {
+  IMAGE_CONFIGS[setName] = {
+    ...BASE_CONFIGS.featureCard,
+    images: loadContentImages(collection)
+  };
 }
 
 function buildPrompt(config, image) {
@@ -227,76 +214,123 @@ function buildPrompt(config, image) {
     .replace('{accent}', image.accent || 'teal accents');
 }
 
-async function generateImage(imageConfig, config, outputDir = 'public/images') {
-  try {
-    console.log(`Generating image for: ${imageConfig.title}`);
-    
-    const prompt = buildPrompt(config, imageConfig);
-    console.log(`Prompt: ${prompt}`);
-    
-    const response = await openai.images.generate({
-      model: "dall-e-3",
-      prompt: prompt,
-      n: 1,
-      size: config.size,
-      quality: config.quality,
-    });
+function imagePath(id, outputDir = 'public/images') {
+  return path.join(__dirname, '..', outputDir, `${id}.png`);
+}
 
-    const imageUrl = response.data[0].url;
-    console.log(`Generated image URL for ${imageConfig.title}: ${imageUrl}`);
-    
-    // Create output directory if it doesn't exist
-    const imagesDir = path.join(__dirname, '..', outputDir);
-    if (!fs.existsSync(imagesDir)) {
-      fs.mkdirSync(imagesDir, { recursive: true });
-    }
-    
-    // Download and save the image
-    const filename = `${imageConfig.id}.png`;
-    const filepath = path.join(imagesDir, filename);
-    await downloadImage(imageUrl, filepath);
-    
-    console.log(`Saved image: ${filepath}`);
-    
-    return {
-      id: imageConfig.id,
-      title: imageConfig.title,
-      filename: filename,
-      filepath: filepath,
-      url: imageUrl,
-      type: config.type || 'unknown'
-    };
-  } catch (error) {
-    console.error(`Error generating image for ${imageConfig.title}:`, error);
-    return null;
+// Prompt hash recorded in the manifest; size and quality are part of it
+// because changing either also changes the art
+function hashPrompt(prompt, config) {
+  return crypto
+    .createHash('sha256')
+    .update(`${prompt}\n${config.size}\n${config.quality}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// The manifest keeps one entry per image id across runs
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return {};
   }
+  const data = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  // Older runs wrote an array holding only that run's images
+  if (Array.isArray(data)) {
+    return Object.fromEntries(data.map(entry => [entry.id, entry]));
+  }
+  return data;
 }
 
-async function generateImageSet(setName, config, outputDir = 'public/images') {
-  console.log(`\nGenerating ${setName} images using DALL-E 3...`);
+function saveManifest(manifest) {
+  const sorted = Object.fromEntries(Object.keys(manifest).sort().map(id => [id, manifest[id]]));
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+// Generate one image and save it; throws if generation or download fails
+async function generateImage(imageConfig, config, outputDir = 'public/images') {
+  console.log(`Generating image for: ${imageConfig.title}`);
   
-  const results = [];
-  for (const imageConfig of config.images) {
-    // Check if image already exists
-    const imagesDir = path.join(__dirname, '..', outputDir);
-    const filename = `${imageConfig.id}.png`;
-    const filepath = path.join(imagesDir, filename);
-    
-    if (fs.existsSync(filepath)) {
-      console.log(`Image already exists for ${imageConfig.title}, skipping.`);
-      continue;
-    }
-    
-    const result = await generateImage(imageConfig, config, outputDir);
-    if (result) {
-      result.type = setName;
-      results.push(result);
-    }
-    // Add delay to respect rate limits
-    await new Promise(resolve => setTimeout(resolve, 2000));
+  const prompt = buildPrompt(config, imageConfig);
+  console.log(`Prompt: ${prompt}`);
+  
+  const imageProvider = getProvider();
+  const result = await withRetry(() => imageProvider.generate({
+    id: imageConfig.id,
+    title: imageConfig.title,
+    prompt,
+    size: config.size,
+    quality: config.quality,
+    theme: THEME_COLORS
+  }), { label: `Generating ${imageConfig.id}` });
+
+  if (result.url) {
+    console.log(`Generated image URL for ${imageConfig.title}: ${result.url}`);
   }
   
-  return results;
+  // Create output directory if it doesn't exist
+  const imagesDir = path.join(__dirname, '..', outputDir);
+  if (!fs.existsSync(imagesDir)) {
+    fs.mkdirSync(imagesDir, { recursive: true });
+  }
+  
+  // Save the image, downloading it when the provider returned a URL
+  const filepath = imagePath(imageConfig.id, outputDir);
+  if (result.buffer) {
+    await writeFileAtomic(filepath, result.buffer);
+  } else {
+    await downloadImage(result.url, filepath);
+  }
+  
+  console.log(`Saved image: ${filepath}`);
+  
+  return {
+    id: imageConfig.id,
+    title: imageConfig.title,
+    prompt,
+    promptHash: hashPrompt(prompt, config),
+    provider: imageProvider.name,
+    model: imageProvider.model,
+    size: config.size,
+    quality: config.quality,
+    generatedAt: new Date().toISOString(),
+    files: [path.relative(path.join(__dirname, '..'), filepath)]
+  };
+}
+
+// Decide which images in the given sets need generating, and why
+function planImages(setNames, manifest, { force = [], only = null, missingOnly = false } = {}) {
+  const plan = [];
+  for (const setName of setNames) {
+    const setConfig = IMAGE_CONFIGS[setName];
+    for (const imageConfig of setConfig.images) {
+      if (only && !only.includes(imageConfig.id)) continue;
+
+      const config = imageConfig.baseConfig ? BASE_CONFIGS[imageConfig.baseConfig] : setConfig;
+      const prompt = buildPrompt(config, imageConfig);
+      const promptHash = hashPrompt(prompt, config);
+      const entry = manifest[imageConfig.id];
+      const exists = fs.existsSync(imagePath(imageConfig.id));
+
+      let reason = null;
+      if (force.includes(imageConfig.id)) {
+        reason = 'forced';
+      } else if (!exists) {
+        reason = 'missing';
+      } else if (!missingOnly && entry?.promptHash && entry.promptHash !== promptHash) {
+        reason = 'prompt changed';
+      }
+
+      plan.push({
+        setName,
+        imageConfig,
+        config,
+        reason,
+        // Images made before the manifest recorded prompts are left alone
+        untracked: exists && !entry?.promptHash
+      });
+    }
+  }
+  return plan;
 }
 
 // Utility function to add new image configurations dynamically
@@ -323,82 +357,153 @@ async function generateCustomImage(imageConfig, baseConfigType = 'pageHero', out
   return await generateImage(imageConfig, config, outputDir);
 }
 
-async function generateAllImages(sets = null) {
-  if (!apiKey) {
-    console.error('OPENAI_API_KEY environment variable is required, or credentials-openai.txt must exist in the project root');
-    console.log('Please set your OpenAI API key:');
-    console.log('export OPENAI_API_KEY="your-api-key-here"');
+/**
+ * Generate every image whose file is missing or whose prompt has changed
+ * since the manifest entry was written.
+ *
+ * @param {string[] | null} sets - Image sets to consider (default: all).
+ * @param {object} [options]
+ * @param {string[]} [options.force] - Image ids to regenerate regardless.
+ * @param {string[] | null} [options.only] - Restrict the run to these image ids.
+ * @param {boolean} [options.missingOnly] - Skip images whose prompt changed.
+ * @param {boolean} [options.dryRun] - Report the plan and cost without generating.
+ * @param {{ concurrency?: number, perMinute?: number }} [options.rateLimit] - Overrides
+ *   the provider's default rate limit.
+ */
+async function generateAllImages(sets = null, { force = [], only = null, missingOnly = false, dryRun = false, rateLimit = {} } = {}) {
+  // Determine which sets to generate
+  const requestedSets = sets || Object.keys(IMAGE_CONFIGS);
+  const unknownSets = requestedSets.filter(setName => !IMAGE_CONFIGS[setName]);
+  if (unknownSets.length > 0) {
+    throw new Error(`Unknown image set: ${unknownSets.join(', ')}\nAvailable sets: ${Object.keys(IMAGE_CONFIGS).join(', ')}`);
+  }
+  console.log(`Checking images for: ${requestedSets.join(', ')}`);
+
+  const manifest = loadManifest();
+  const plan = planImages(requestedSets, manifest, { force, only, missingOnly });
+  const pending = plan.filter(item => item.reason);
+  const untracked = plan.filter(item => item.untracked && !item.reason);
+
+  if (untracked.length > 0) {
+    console.log(`\n${untracked.length} existing images predate the manifest and were left as is (use --force <id> to regenerate):`);
+    console.log(`  ${untracked.map(item => item.imageConfig.id).join(', ')}`);
+  }
+
+  if (pending.length === 0) {
+    console.log('\nAll images are up to date.');
+    return [];
+  }
+
+  let totalCost = 0;
+  console.log(`\n${dryRun ? 'Would generate' : 'Generating'} ${pending.length} images with ${providerName}:`);
+  for (const { imageConfig, config, reason } of pending) {
+    const cost = estimateCost(providerName, config);
+    totalCost += cost;
+    console.log(`  ${imageConfig.id} (${reason}, ${config.size} ${config.quality}, ~$${cost.toFixed(2)})`);
+  }
+  console.log(`Estimated cost: ~$${totalCost.toFixed(2)}`);
+
+  if (dryRun) {
+    return [];
+  }
+
+  try {
+    getProvider();
+  } catch (error) {
+    console.error(error.message);
+    console.log('Set the API key, or use the offline provider:');
+    console.log('node scripts/generate-images.js --provider local');
     process.exit(1);
   }
 
-  // Determine which sets to generate
-  const setsToGenerate = sets || Object.keys(IMAGE_CONFIGS);
-  console.log(`Generating images for: ${setsToGenerate.join(', ')}`);
-  console.log(`Available sets: ${Object.keys(IMAGE_CONFIGS).join(', ')}`);
-  
+  const limits = { ...getRateLimit(providerName), ...rateLimit };
+  console.log(`Rate limit: ${limits.concurrency} at a time, ${limits.perMinute} per minute`);
+  const schedule = createRateLimiter(limits);
+
   const allResults = [];
-  
-  for (const setName of setsToGenerate) {
-    if (IMAGE_CONFIGS[setName]) {
-      const results = await generateImageSet(setName, IMAGE_CONFIGS[setName]);
-      allResults.push(...results);
-    } else {
-      console.warn(`Unknown image set: ${setName}`);
-      console.log(`Available sets: ${Object.keys(IMAGE_CONFIGS).join(', ')}`);
+  const failures = [];
+  await Promise.all(pending.map(({ setName, imageConfig, config }) => schedule(async () => {
+    try {
+      const result = await generateImage(imageConfig, config);
+      manifest[result.id] = { ...result, set: setName };
+      // Save after every image so an interrupted run keeps what it made
+      saveManifest(manifest);
+      allResults.push(result);
+    } catch (error) {
+      console.error(`Error generating image for ${imageConfig.title}: ${error.message}`);
+      failures.push({ id: imageConfig.id, error: error.message });
     }
+  })));
+
+  console.log(`\nManifest updated: ${MANIFEST_PATH}`);
+  console.log(`\nGeneration complete: ${allResults.length} generated, ${failures.length} failed.`);
+  if (failures.length > 0) {
+    console.log('Failed images:');
+    failures.forEach(({ id, error }) => console.log(`  ${id}: ${error}`));
+    process.exitCode = 1;
   }
   
-  // Save results to a file for reference
-  const resultsPath = path.join(__dirname, 'generated-images.json');
-  fs.writeFileSync(resultsPath, JSON.stringify(allResults, null, 2));
-  console.log(`\nGenerated image info saved to ${resultsPath}`);
-  
-  console.log('\nGeneration complete!');
-  console.log('Images saved to public/images/ directory');
-  console.log('You can now update your site to use these new images.');
-  
   return allResults;
 }
 
-// Utility to convert slug to title case
-function slugToTitle(slug) {
-  return slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+// Generate art for content entries that don't have an image yet
+async function generateMissingImages(options = {}) {
+  return generateAllImages(Object.keys(CONTENT_SETS), { ...options, missingOnly: true });
 }
 
-// Generate images for all slugs in scripts/all-learn-slugs.txt
-async function generateImagesForAllSlugs() {
-  const slugsPath = path.join(__dirname, 'all-learn-slugs.txt');
-  if (!fs.existsSync(slugsPath)) {
-    console.error('all-learn-slugs.txt not found.');
-    process.exit(1);
-  }
-  const slugs = fs.readFileSync(slugsPath, 'utf-8').split('\n').map(s => s.trim()).filter(Boolean);
-  for (const slug of slugs) {
-    const outPath = path.join(__dirname, '../public/images', `${slug}.png`);
-    if (fs.existsSync(outPath)) {
-      console.log(`Image already exists for ${slug}, skipping.`);
-      continue;
-    }
-    const title = slugToTitle(slug);
-    const prompt = `A modern, professional illustration for ${title}. Abstract, geometric, technology-inspired. Clean, minimalist style.`;
-    const config = {
-      size: '1024x1024',
-      quality: 'standard',
-      basePrompt: prompt
-    };
-    const imageConfig = { id: slug, title, specificElements: '', accentColor: 'blues' };
-    await generateImage(imageConfig, config, '../public/images');
-    // Add delay to respect rate limits
-    await new Promise(resolve => setTimeout(resolve, 2000));
+// Command line interface
+const { values: flags, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    provider: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    force: { type: 'string', multiple: true, default: [] },
+    set: { type: 'string', multiple: true, default: [] },
+    concurrency: { type: 'string', default: process.env.IMAGE_CONCURRENCY },
+    rate: { type: 'string', default: process.env.IMAGE_RATE_LIMIT }
   }
+});
+
+if (flags.provider) {
+  providerName = flags.provider;
+}
+if (!PROVIDERS[providerName]) {
+  console.error(`Unknown image provider: ${providerName}`);
+  console.log(`Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  process.exit(1);
 }
 
-// Command line interface
-const args = process.argv.slice(2);
-if (args.includes('all-learn-slugs')) {
-  generateImagesForAllSlugs().catch(console.error);
-} else if (args.length > 0) {
-  generateAllImages(args).catch(console.error);
+const rateLimit = {};
+if (flags.concurrency) rateLimit.concurrency = Math.max(1, Number(flags.concurrency));
+if (flags.rate) rateLimit.perMinute = Number(flags.rate);
+if (Object.values(rateLimit).some(Number.isNaN)) {
+  console.error('--concurrency and --rate must be numbers');
+  process.exit(1);
+}
+
+const options = { force: flags.force, dryRun: flags['dry-run'], rateLimit };
+
+// Anything that stops a run, an unknown set included, fails it
+function fail(error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
+
+const sets = [...flags.set, ...positionals.filter(arg => arg !== 'missing')];
+
+if (positionals.includes('missing')) {
+  generateMissingImages(options).catch(fail);
+} else if (sets.length > 0) {
+  generateAllImages(sets, options).catch(fail);
+} else if (flags.force.length > 0) {
+  // --force on its own regenerates just the named images
+  const knownIds = Object.values(IMAGE_CONFIGS).flatMap(config => config.images.map(image => image.id));
+  const unknownIds = flags.force.filter(id => !knownIds.includes(id));
+  if (unknownIds.length > 0) {
+    console.error(`Unknown image id: ${unknownIds.join(', ')}`);
+    process.exit(1);
+  }
+  generateAllImages(null, { ...options, only: flags.force }).catch(fail);
 } else {
-  generateAllImages().catch(console.error);
-}
\ No newline at end of file
+  generateAllImages(null, options).catch(fail);
+}
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseFrontmatter, readFrontmatter } from './lib/content-files.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT = path.join(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'src/content');
+const PAGES_DIR = path.join(ROOT, 'src/pages');
+const CONFIG_PATH = path.join(ROOT, 'src/data/redirects.json');
+const REDIRECTS_PATH = path.join(ROOT, 'public/_redirects');
+const COLLECTIONS = ['learn', 'blog'];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const HEADER = `# Generated by scripts/generate-redirects.js from src/data/redirects.json
+# and redirectFrom in learn and blog frontmatter. Edit those, not this file.`;
+
+/**
+ * @typedef {object} Redirect
+ * @property {string} from - Literal path, or a Netlify pattern in `rules`.
+ * @property {string} to
+ * @property {number} status
+ * @property {string} source - File the redirect is declared in, for messages.
+ * @property {string} [comment]
+ */
+
+function relative(file) {
+  return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+// Learn and blog entries with the route each one is built at
+function readEntries() {
+  return COLLECTIONS.flatMap(collection => {
+    const dir = path.join(CONTENT_DIR, collection);
+    // git doesn't keep a collection's folder once its last entry is deleted
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter(file => /\.mdx?$/.test(file))
+      .map(file => {
+        const data = readFrontmatter(path.join(dir, file));
+        return {
+          file: relative(path.join(dir, file)),
+          route: `/${collection}/${file.replace(/\.mdx?$/, '')}`,
+          draft: data.draft === true,
+          redirectFrom: data.redirectFrom ?? []
+        };
+      });
+  });
+}
+
+function git(args) {
+  return execFileSync('git', args, { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+/**
+ * Routes of learn and blog entries whose files were deleted in git history.
+ * A rename counts as a deletion of the old file, since its route stops being
+ * built. Files that were still drafts when deleted were never published, so
+ * they are skipped. Outside a git checkout, or in a shallow one, this finds
+ * less or nothing, which only costs warnings.
+ */
+function readDeletedRoutes() {
+  let log;
+  try {
+    log = git(['log', '--diff-filter=D', '--no-renames', '--name-only', '--format=%H', '--', ...COLLECTIONS.map(collection => `src/content/${collection}`)]);
+  } catch (error) {
+    return [];
+  }
+
+  const routes = new Set();
+  let commit = null;
+  for (const line of log.split('\n')) {
+    if (/^[0-9a-f]{40}$/.test(line)) {
+      commit = line;
+      continue;
+    }
+    const match = line.match(/^src\/content\/([^/]+)\/([^/]+)\.mdx?$/);
+    if (!match || !commit) continue;
+    let data = {};
+    try {
+      data = parseFrontmatter(git(['show', `${commit}^:${line}`])) ?? {};
+    } catch (error) {
+      // Unreadable or unparseable; assume it was published
+    }
+    if (data.draft !== true) {
+      routes.add(`/${match[1]}/${match[2]}`);
+    }
+  }
+  return [...routes];
+}
+
+// Routes of the pages in src/pages without parameters, such as /tools
+function readPageRoutes(dir = PAGES_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.name.includes('[')) return [];
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return readPageRoutes(full);
+    if (!entry.name.endsWith('.astro')) return [];
+    const route = `/${path.relative(PAGES_DIR, full).split(path.sep).join('/')}`.replace(/(\/index)?\.astro$/, '');
+    return [route || '/'];
+  });
+}
+
+function pathOf(url) {
+  return url.split(/[?#]/)[0];
+}
+
+/**
+ * Check the literal redirects against each other and the built routes.
+ * Netlify only follows one hop per request, and serves an existing page
+ * in preference to a redirect from its URL.
+ *
+ * @param {Redirect[]} redirects
+ * @param {Redirect[]} rules
+ * @param {Set<string>} routes - Every page and entry route, drafts included.
+ * @returns {{ source: string, message: string }[]}
+ */
+function findProblems(redirects, rules, routes) {
+  const problems = [];
+  const bySource = new Map();
+
+  for (const redirect of redirects) {
+    const { from, source } = redirect;
+    if (!/^\/[^\s*:]*$/.test(from)) {
+      problems.push({ source, message: `${from} must be a literal path starting with /` });
+      continue;
+    }
+    if (from.length > 1 && from.endsWith('/')) {
+      problems.push({ source, message: `${from} has a trailing slash; the trailing-slash rule already strips it` });
+    }
+    if (!REDIRECT_STATUSES.includes(redirect.status)) {
+      problems.push({ source, message: `${from} has status ${redirect.status}; rewrites belong in "rules"` });
+    }
+    if (routes.has(from)) {
+      problems.push({ source, message: `${from} is a page, which Netlify serves instead of redirecting` });
+    }
+    const rule = rules.find(candidate => candidate.from === from);
+    if (rule) {
+      problems.push({ source, message: `${from} is also a rule in ${rule.source}` });
+    }
+    bySource.set(from, [...(bySource.get(from) ?? []), redirect]);
+  }
+
+  for (const [from, group] of bySource) {
+    if (group.length > 1) {
+      const sources = [...new Set(group.map(redirect => redirect.source))].join(', ');
+      problems.push({ source: group[0].source, message: `${from} is redirected more than once, in ${sources}` });
+    }
+  }
+
+  // Follow each redirect through the others. A visitor would be sent
+  // round a loop forever, and down a chain one extra request per hop.
+  const reported = new Set();
+  for (const redirect of redirects) {
+    const hops = [redirect.from];
+    let target = pathOf(redirect.to);
+    while (bySource.has(target) && !hops.includes(target)) {
+      hops.push(target);
+      target = pathOf(bySource.get(target)[0].to);
+    }
+    if (hops.includes(target)) {
+      // Report each loop once, not once per redirect in it
+      const loop = hops.slice(hops.indexOf(target));
+      const key = [...loop].sort().join(' ');
+      if (!reported.has(key)) {
+        reported.add(key);
+        problems.push({ source: redirect.source, message: `redirect loop: ${[...loop, target].join(' → ')}` });
+      }
+    } else if (hops.length > 1) {
+      problems.push({
+        source: redirect.source,
+        message: `redirect chain: ${[...hops, target].join(' → ')}; redirect ${redirect.from} straight to ${target}`
+      });
+    }
+  }
+
+  return problems;
+}
+
+function formatRule(rule) {
+  return `${rule.from} ${rule.to} ${rule.status}`;
+}
+
+/**
+ * Write public/_redirects: the one-off redirects from src/data/redirects.json,
+ * then every entry's redirectFrom, then the wildcard rules, which come last
+ * so they can't shadow a literal redirect. Nothing is written when a
+ * redirect conflicts with another, with a page, or forms a chain or loop.
+ * Entries deleted or renamed in git history whose URL nothing redirects
+ * are warned about, unless "gone" in src/data/redirects.json lists them
+ * as removed on purpose.
+ */
+function generateRedirects() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+  const configSource = relative(CONFIG_PATH);
+  const entries = readEntries();
+
+  const manual = (config.redirects ?? []).map(redirect => ({ status: 301, ...redirect, source: configSource }));
+  // A draft's page isn't built yet, so its old URLs keep resolving as they do
+  const moved = entries
+    .filter(entry => !entry.draft)
+    .flatMap(entry => entry.redirectFrom.map(from => ({ from, to: entry.route, status: 301, source: entry.file })));
+  const rules = (config.rules ?? []).map(rule => ({ status: 301, ...rule, source: configSource }));
+  const redirects = [...manual, ...moved];
+
+  const routes = new Set([...readPageRoutes(), ...entries.map(entry => entry.route)]);
+  const errors = findProblems(redirects, rules, routes);
+
+  const published = entries.filter(entry => !entry.draft).map(entry => entry.route);
+  const redirected = new Set(redirects.map(redirect => redirect.from));
+  const gone = new Set(config.gone ?? []);
+  for (const route of gone) {
+    if (published.includes(route)) {
+      errors.push({ source: configSource, message: `${route} is listed in "gone" but is still published` });
+    } else if (redirected.has(route)) {
+      errors.push({ source: configSource, message: `${route} is listed in "gone" but is also redirected` });
+    }
+  }
+
+  const warnings = readDeletedRoutes()
+    .filter(route => !published.includes(route) && !redirected.has(route) && !gone.has(route))
+    .map(route => ({
+      source: configSource,
+      message: `${route} was published but is no longer built, and nothing redirects it; add it to redirectFrom on the entry that replaces it, to "redirects", or to "gone" if it was removed on purpose`
+    }));
+
+  for (const { source, message } of warnings) {
+    console.warn(`${source}: warning: ${message}`);
+  }
+  for (const { source, message } of errors) {
+    console.error(`${source}: error: ${message}`);
+  }
+  if (errors.length > 0) {
+    console.error(`\n${errors.length} redirect ${errors.length === 1 ? 'problem' : 'problems'}; ${relative(REDIRECTS_PATH)} was not updated`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const sections = [
+    HEADER,
+    manual.length > 0 && ['# Moved pages', ...manual.map(formatRule)].join('\n'),
+    moved.length > 0 && ['# Renamed entries (redirectFrom)', ...moved.map(formatRule)].join('\n'),
+    // A comment starts a new paragraph
+    rules.map(rule => (rule.comment ? `\n# ${rule.comment}\n` : '') + formatRule(rule)).join('\n').trim()
+  ];
+  fs.writeFileSync(REDIRECTS_PATH, sections.filter(Boolean).join('\n\n') + '\n');
+  console.log(`Redirects: ${redirects.length} literal, ${rules.length} ${rules.length === 1 ? 'rule' : 'rules'}`);
+}
+
+generateRedirects();
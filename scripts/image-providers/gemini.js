@@ -0,0 +1,64 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import sharp from 'sharp';
+import { readCredential } from './read-credential.js';
+import { parseSize } from './size.js';
+
+const MODEL = 'gemini-2.0-flash-preview-image-generation';
+
+// Image output is not in this SDK version's GenerationConfig yet
+/** @type {import('@google/generative-ai').GenerationConfig & { responseModalities: ('TEXT' | 'IMAGE')[] }} */
+const generationConfig = { responseModalities: ['TEXT', 'IMAGE'] };
+
+export const RATE_LIMIT = { concurrency: 2, perMinute: 10 };
+
+// Approximate USD per generated image (1290 output tokens at $30 per million)
+export function estimateCost() {
+  return 0.039;
+}
+
+/**
+ * Gemini native image generation. Gemini has no size parameter, so the
+ * aspect ratio goes into the prompt and the result is cropped to size.
+ *
+ * @returns {import('./index.js').ImageProvider}
+ */
+export function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY
+    || process.env.GOOGLE_API_KEY
+    || readCredential('credentials-gemini.txt');
+  if (!apiKey) {
+    throw new Error(
+      'GEMINI_API_KEY environment variable is required, or credentials-gemini.txt must exist in the project root'
+    );
+  }
+
+  const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: MODEL });
+
+  return {
+    name: 'gemini',
+    model: MODEL,
+    async generate({ prompt, size }) {
+      const { width, height } = parseSize(size);
+      const orientation = width > height ? 'wide landscape' : 'square';
+      const result = await model.generateContent({
+        contents: [{
+          role: 'user',
+          parts: [{ text: `${prompt} Compose the image in a ${orientation} ${width}:${height} aspect ratio. Do not include any text.` }]
+        }],
+        generationConfig
+      });
+
+      const parts = result.response.candidates?.[0]?.content?.parts || [];
+      const imagePart = parts.find(part => part.inlineData);
+      if (!imagePart) {
+        throw new Error('Gemini response did not contain an image');
+      }
+
+      const buffer = await sharp(Buffer.from(imagePart.inlineData.data, 'base64'))
+        .resize(width, height, { fit: 'cover' })
+        .png()
+        .toBuffer();
+      return { buffer };
+    }
+  };
+}
@@ -0,0 +1,67 @@
+import * as openai from './openai.js';
+import * as gemini from './gemini.js';
+import * as local from './local.js';
+
+/**
+ * @typedef {object} ImageRequest
+ * @property {string} id - Image id, also the output filename.
+ * @property {string} title
+ * @property {string} prompt - Resolved prompt from buildPrompt().
+ * @property {string} size - "<width>x<height>", e.g. "1024x1024".
+ * @property {string} quality - "standard" or "hd".
+ * @property {Record<string, string>} theme - THEME_COLORS.
+ *
+ * @typedef {object} ImageResult
+ * @property {string} [url] - Remote image to download.
+ * @property {Buffer} [buffer] - PNG data, when the provider returns the image inline.
+ *
+ * @typedef {object} ImageProvider
+ * @property {string} name
+ * @property {string} model
+ * @property {(request: ImageRequest) => Promise<ImageResult>} generate
+ */
+
+export const PROVIDERS = {
+  openai: { create: openai.createOpenAIProvider, estimateCost: openai.estimateCost, rateLimit: openai.RATE_LIMIT },
+  gemini: { create: gemini.createGeminiProvider, estimateCost: gemini.estimateCost, rateLimit: gemini.RATE_LIMIT },
+  local: { create: local.createLocalProvider, estimateCost: local.estimateCost, rateLimit: local.RATE_LIMIT }
+};
+
+export const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * @param {string} name
+ * @returns {ImageProvider}
+ */
+export function createProvider(name = DEFAULT_PROVIDER) {
+  return getProviderEntry(name).create();
+}
+
+/**
+ * Estimated USD cost of one image, without needing an API key.
+ *
+ * @param {string} name
+ * @param {{ size: string, quality: string }} config
+ * @returns {number}
+ */
+export function estimateCost(name, config) {
+  return getProviderEntry(name).estimateCost(config);
+}
+
+/**
+ * Default concurrency and requests per minute for a provider.
+ *
+ * @param {string} name
+ * @returns {{ concurrency: number, perMinute: number }}
+ */
+export function getRateLimit(name) {
+  return getProviderEntry(name).rateLimit;
+}
+
+function getProviderEntry(name) {
+  const entry = PROVIDERS[name];
+  if (!entry) {
+    throw new Error(`Unknown image provider: ${name}. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return entry;
+}
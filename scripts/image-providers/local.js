@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { parseSize } from './size.js';
+
+const MODEL = 'local-geometric-v1';
+
+export const RATE_LIMIT = { concurrency: 4, perMinute: Infinity };
+
+export function estimateCost() {
+  return 0;
+}
+
+// Small seeded PRNG (mulberry32) so the same id always renders the same art
+function createRandom(seedText) {
+  let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6D2B79F5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Greedy word wrap by character count; good enough for short titles
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/)) {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function buildSvg({ title, width, height, theme, random }) {
+  const palette = [theme.secondary, theme.accent, theme.light, theme.orange];
+  const pick = () => palette[Math.floor(random() * palette.length)];
+  const shapes = [];
+
+  // Soft background orbs
+  for (let i = 0; i < 6; i++) {
+    const r = (0.15 + random() * 0.35) * Math.min(width, height);
+    shapes.push(`<circle cx="${(random() * width).toFixed(1)}" cy="${(random() * height).toFixed(1)}" r="${r.toFixed(1)}" fill="${pick()}" opacity="${(0.08 + random() * 0.14).toFixed(2)}"/>`);
+  }
+
+  // Rotated polygons
+  for (let i = 0; i < 5; i++) {
+    const sides = 3 + Math.floor(random() * 4);
+    const cx = random() * width;
+    const cy = random() * height;
+    const r = (0.05 + random() * 0.12) * Math.min(width, height);
+    const rotation = random() * Math.PI * 2;
+    const points = Array.from({ length: sides }, (_, k) => {
+      const angle = rotation + (k / sides) * Math.PI * 2;
+      return `${(cx + r * Math.cos(angle)).toFixed(1)},${(cy + r * Math.sin(angle)).toFixed(1)}`;
+    }).join(' ');
+    shapes.push(`<polygon points="${points}" fill="none" stroke="${pick()}" stroke-width="${(2 + random() * 4).toFixed(1)}" opacity="0.55"/>`);
+  }
+
+  // A small node network, echoing the neural-network motif of the DALL-E art
+  const nodes = Array.from({ length: 9 }, () => ({ x: random() * width, y: random() * height }));
+  nodes.forEach((node, i) => {
+    const next = nodes[(i + 1 + Math.floor(random() * 3)) % nodes.length];
+    shapes.push(`<line x1="${node.x.toFixed(1)}" y1="${node.y.toFixed(1)}" x2="${next.x.toFixed(1)}" y2="${next.y.toFixed(1)}" stroke="${theme.light}" stroke-width="2" opacity="0.35"/>`);
+  });
+  nodes.forEach(node => {
+    shapes.push(`<circle cx="${node.x.toFixed(1)}" cy="${node.y.toFixed(1)}" r="${(6 + random() * 8).toFixed(1)}" fill="${theme.accent}" opacity="0.8"/>`);
+  });
+
+  const fontSize = Math.round(Math.min(width, height) * 0.075);
+  const lines = wrapText(title, Math.max(12, Math.floor(width / (fontSize * 0.6))));
+  const textTop = height / 2 - ((lines.length - 1) * fontSize * 1.2) / 2;
+  const text = lines.map((line, i) =>
+    `<text x="${width / 2}" y="${(textTop + i * fontSize * 1.2).toFixed(1)}" font-family="Poppins, Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="700" fill="${theme.white}" text-anchor="middle" dominant-baseline="middle">${escapeXml(line)}</text>`
+  ).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.dark}"/>
+      <stop offset="55%" stop-color="${theme.primary}"/>
+      <stop offset="100%" stop-color="${theme.secondary}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${width}" height="${height}" fill="url(#bg)"/>
+  ${shapes.join('\n  ')}
+  <rect x="0" y="${(textTop - fontSize).toFixed(1)}" width="${width}" height="${(lines.length * fontSize * 1.2 + fontSize).toFixed(1)}" fill="${theme.dark}" opacity="0.35"/>
+  ${text}
+</svg>`;
+}
+
+/**
+ * Renders a branded geometric placeholder locally with sharp. Needs no API
+ * key or network access, and the output depends only on the id and title.
+ *
+ * @returns {import('./index.js').ImageProvider}
+ */
+export function createLocalProvider() {
+  return {
+    name: 'local',
+    model: MODEL,
+    async generate({ id, title, size, theme }) {
+      const { width, height } = parseSize(size);
+      const random = createRandom(`${id}:${title}`);
+      const svg = buildSvg({ title, width, height, theme, random });
+      const buffer = await sharp(Buffer.from(svg)).png().toBuffer();
+      return { buffer };
+    }
+  };
+}
@@ -0,0 +1,60 @@
+import OpenAI from 'openai';
+import { readCredential } from './read-credential.js';
+
+const MODEL = 'dall-e-3';
+
+// DALL-E 3 list prices in USD per image
+const PRICES = {
+  standard: { '1024x1024': 0.04, '1792x1024': 0.08, '1024x1792': 0.08 },
+  hd: { '1024x1024': 0.08, '1792x1024': 0.12, '1024x1792': 0.12 }
+};
+
+// DALL-E 3 allows 5 images per minute on the lowest usage tier
+export const RATE_LIMIT = { concurrency: 2, perMinute: 5 };
+
+export function estimateCost({ size, quality }) {
+  return PRICES[quality]?.[size] ?? PRICES.hd['1792x1024'];
+}
+
+/**
+ * DALL-E 3 through the OpenAI Images API. Returns a temporary URL that the
+ * caller downloads, or the image itself when OPENAI_IMAGE_RESPONSE_FORMAT
+ * is "b64_json".
+ *
+ * @returns {import('./index.js').ImageProvider}
+ */
+export function createOpenAIProvider() {
+  const apiKey = process.env.OPENAI_API_KEY || readCredential('credentials-openai.txt');
+  if (!apiKey) {
+    throw new Error(
+      'OPENAI_API_KEY environment variable is required, or credentials-openai.txt must exist in the project root'
+    );
+  }
+
+  // Retries are handled by the image pipeline so they share its backoff
+  const openai = new OpenAI({ apiKey, maxRetries: 0 });
+  const responseFormat = process.env.OPENAI_IMAGE_RESPONSE_FORMAT === 'b64_json' ? 'b64_json' : 'url';
+
+  return {
+    name: 'openai',
+    model: MODEL,
+    async generate({ prompt, size, quality }) {
+      const response = await openai.images.generate({
+        model: MODEL,
+        prompt,
+        n: 1,
+        size,
+        quality,
+        response_format: responseFormat,
+      });
+      const [image] = response.data || [];
+      if (image?.b64_json) {
+        return { buffer: Buffer.from(image.b64_json, 'base64') };
+      }
+      if (!image?.url) {
+        throw new Error('OpenAI response did not contain an image');
+      }
+      return { url: image.url };
+    }
+  };
+}
@@ -0,0 +1,18 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Read an API key from the first line of a credentials file in the project root
+export function readCredential(filename) {
+  try {
+    const credPath = path.join(__dirname, '../..', filename);
+    if (fs.existsSync(credPath)) {
+      return fs.readFileSync(credPath, 'utf-8').split('\n')[0].trim() || null;
+    }
+  } catch (e) {
+    // Ignore, the provider reports the missing key
+  }
+  return null;
+}
@@ -0,0 +1,8 @@
+// Parse an OpenAI-style size string such as "1792x1024"
+export function parseSize(size) {
+  const [width, height] = size.split('x').map(Number);
+  if (!width || !height) {
+    throw new Error(`Invalid image size: ${size}`);
+  }
+  return { width, height };
+}
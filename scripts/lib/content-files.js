@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import yaml from 'js-yaml';
+
+// The YAML block at the top of an MDX file, delimiters included
+export const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---/;
+
+/**
+ * Parse the frontmatter of an MDX source. Returns null when there is no
+ * frontmatter block, and throws js-yaml's YAMLException when it doesn't parse.
+ *
+ * @param {string} source
+ * @returns {Record<string, any> | null}
+ */
+export function parseFrontmatter(source) {
+  const match = source.match(FRONTMATTER_PATTERN);
+  return match ? yaml.load(match[1]) ?? {} : null;
+}
+
+// Frontmatter of an MDX file, or {} when it has none
+export function readFrontmatter(filepath) {
+  return parseFrontmatter(fs.readFileSync(filepath, 'utf8')) ?? {};
+}
+
+// Format a date (Date or date string) as YYYY-MM-DD
+export function formatDate(date) {
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(parsed.getTime())) {
+    return null;
+  }
+  return parsed.toISOString().split('T')[0];
+}
+
+// Date of the last commit touching a file, falling back to its mtime when
+// the file is untracked or git is unavailable
+export function getGitLastModified(filepath) {
+  try {
+    const output = execFileSync('git', ['log', '-1', '--format=%cI', '--', filepath], {
+      cwd: path.dirname(filepath),
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    if (output) {
+      return formatDate(output);
+    }
+  } catch (error) {
+    // Not a git checkout; fall through to the filesystem date
+  }
+  return formatDate(fs.statSync(filepath).mtime);
+}
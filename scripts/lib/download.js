@@ -0,0 +1,91 @@
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import { pipeline } from 'stream/promises';
+import { HttpError, withRetry } from './retry.js';
+
+const MAX_REDIRECTS = 5;
+const TIMEOUT_MS = 60000;
+
+function tempPathFor(filepath) {
+  return `${filepath}.${process.pid}.tmp`;
+}
+
+/**
+ * Write a file via a temp file and rename, so readers never see a partial
+ * image and a failed write leaves no file behind.
+ *
+ * @param {string} filepath
+ * @param {Buffer} data
+ */
+export async function writeFileAtomic(filepath, data) {
+  const tempPath = tempPathFor(filepath);
+  try {
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filepath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function downloadOnce(url, filepath, redirectsLeft) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'http:' ? http : https;
+    const request = client.get(url, (response) => {
+      const { statusCode = 0, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirectsLeft <= 0) {
+          reject(new Error(`Too many redirects downloading ${url}`));
+          return;
+        }
+        resolve(downloadOnce(new URL(headers.location, url).toString(), filepath, redirectsLeft - 1));
+        return;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        const retryAfter = Number(headers['retry-after']) || null;
+        reject(new HttpError(`HTTP ${statusCode} downloading image`, statusCode, retryAfter));
+        return;
+      }
+
+      const contentType = headers['content-type'] || '';
+      if (!contentType.startsWith('image/')) {
+        response.resume();
+        reject(new Error(`Expected an image but the response was ${contentType || 'untyped'}`));
+        return;
+      }
+
+      const tempPath = tempPathFor(filepath);
+      pipeline(response, fs.createWriteStream(tempPath))
+        .then(() => fs.promises.rename(tempPath, filepath))
+        .then(resolve)
+        .catch(async (error) => {
+          await fs.promises.rm(tempPath, { force: true });
+          reject(error);
+        });
+    });
+
+    request.on('error', reject);
+    request.setTimeout(TIMEOUT_MS, () => {
+      const error = new Error(`Timed out after ${TIMEOUT_MS / 1000}s downloading image`);
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    });
+  });
+}
+
+/**
+ * Download an image to `filepath`. Follows redirects, rejects non-2xx and
+ * non-image responses, retries transient failures, and only replaces
+ * `filepath` once the whole body has arrived.
+ *
+ * @param {string} url
+ * @param {string} filepath
+ */
+export async function downloadImage(url, filepath) {
+  return withRetry(() => downloadOnce(url, filepath, MAX_REDIRECTS), { label: 'Image download' });
+}
@@ -0,0 +1,39 @@
+/**
+ * Limit how many tasks run at once and how often a new one may start.
+ *
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Tasks allowed in flight at the same time.
+ * @param {number} [options.perMinute] - Task starts allowed per minute.
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>} Schedules a task.
+ */
+export function createRateLimiter({ concurrency = 1, perMinute = Infinity } = {}) {
+  const interval = Number.isFinite(perMinute) && perMinute > 0 ? 60000 / perMinute : 0;
+  const queue = [];
+  let active = 0;
+  let nextStart = 0;
+
+  function pump() {
+    while (active < concurrency && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      const now = Date.now();
+      const wait = Math.max(0, nextStart - now);
+      nextStart = Math.max(now, nextStart) + interval;
+      active++;
+
+      setTimeout(() => {
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            active--;
+            pump();
+          });
+      }, wait);
+    }
+  }
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    pump();
+  });
+}
@@ -0,0 +1,78 @@
+// Network error codes worth another attempt
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+// Error names used for timeouts and dropped connections, including the OpenAI SDK's
+const RETRYABLE_NAMES = new Set(['TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError']);
+
+/**
+ * Error for a non-2xx HTTP response.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status
+   * @param {number | null} [retryAfter] - Seconds from a Retry-After header.
+   */
+  constructor(message, status, retryAfter = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Rate limiting (429), server errors (5xx) and dropped connections are
+// transient; anything else (bad prompt, 403, wrong content type) is not
+export function isRetryable(error) {
+  const status = error?.status;
+  if (typeof status === 'number') {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.has(error?.code) || RETRYABLE_NAMES.has(error?.name);
+}
+
+// Seconds to wait according to a Retry-After header, from either our
+// HttpError or an SDK error that exposes the response headers
+function getRetryAfter(error) {
+  if (error?.retryAfter) {
+    return error.retryAfter;
+  }
+  const header = typeof error?.headers?.get === 'function'
+    ? error.headers.get('retry-after')
+    : error?.headers?.['retry-after'];
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+/**
+ * Run `fn`, retrying transient failures with exponential backoff and jitter.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt.
+ * @param {number} [options.baseDelay] - Delay before the first retry, in ms.
+ * @param {number} [options.maxDelay] - Upper bound for a single delay, in ms.
+ * @param {string} [options.label] - Used in the retry log line.
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, { retries = 4, baseDelay = 2000, maxDelay = 60000, label = 'Request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      const retryAfter = getRetryAfter(error);
+      const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delay = retryAfter ? Math.min(maxDelay, retryAfter * 1000) : backoff;
+      console.warn(`${label} failed (${error.status || error.code || error.message}); retry ${attempt + 1}/${retries} in ${Math.round(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,358 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { FRONTMATTER_PATTERN, parseFrontmatter } from './lib/content-files.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT = path.join(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'src/content');
+const PAGES_DIR = path.join(ROOT, 'src/pages');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const ASSET_IMAGES_DIR = path.join(ROOT, 'src/assets/images');
+const TAXONOMY_PATH = path.join(ROOT, 'src/data/taxonomy.json');
+const PAGINATION_PATH = path.join(ROOT, 'src/data/pagination.json');
+const REDIRECTS_PATH = path.join(PUBLIC_DIR, '_redirects');
+const SERVICE_CARD_PATH = path.join(ROOT, 'src/components/ServiceCard.astro');
+
+const SITE_ORIGIN = 'https://aiperformanceoptimization.com';
+// Page size of the blog listings, shared with src/utils/content.ts
+const { postsPerPage: POSTS_PER_PAGE } = JSON.parse(fs.readFileSync(PAGINATION_PATH, 'utf-8'));
+const COLLECTIONS = ['learn', 'blog'];
+
+const USAGE = `Usage: node scripts/lint-content.js [--format text|json]
+
+Checks the learn and blog collections and the other MDX under src/content:
+  internal-link          links and #anchors resolve to a route or heading
+  draft-link             no links to draft entries, which are not built
+  service-card           ServiceCard ctaUrl values resolve
+  hero-image             every learn slug has an image in public/images or src/assets/images
+  redirect-target        public/_redirects targets exist
+  duplicate-description  descriptions are unique
+  frontmatter            frontmatter parses and has a title and description
+
+Exits with status 1 when any error is found.`;
+
+// Heading ids as Astro generates them (github-slugger): lowercase, drop
+// punctuation and symbols, spaces to hyphens, numbered suffixes for repeats
+function createSlugger() {
+  const seen = new Map();
+  return text => {
+    const base = text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+      .replace(/ /g, '-');
+    const count = seen.get(base) ?? 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  };
+}
+
+// Plain text of a Markdown heading
+function headingText(markdown) {
+  return markdown
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/[`*_~]/g, '')
+    .trim();
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+function readMdx(file) {
+  const source = fs.readFileSync(file, 'utf-8');
+  let data = null;
+  let error = null;
+  try {
+    data = parseFrontmatter(source);
+    if (data === null) {
+      error = 'missing frontmatter block';
+    }
+  } catch (err) {
+    error = err.reason ?? err.message;
+  }
+
+  // Blank out code so examples aren't read as links or headings; keeping the
+  // newlines keeps line numbers right
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  const body = source
+    .replace(FRONTMATTER_PATTERN, blank)
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[ \t]*$/gm, blank)
+    .replace(/`[^`\n]*`/g, blank);
+
+  return { file, source, body, data, error };
+}
+
+function headingIds(body) {
+  const slug = createSlugger();
+  const ids = new Set();
+  for (const match of body.matchAll(/^#{1,6}[ \t]+(.+?)[ \t#]*$/gm)) {
+    ids.add(slug(headingText(match[1])));
+  }
+  for (const match of body.matchAll(/\bid=["']([^"']+)["']/g)) {
+    ids.add(match[1]);
+  }
+  return ids;
+}
+
+// Internal links in Markdown, HTML and component props, with their line
+function extractLinks(body) {
+  const links = [];
+  const patterns = [
+    { kind: 'link', pattern: /\]\(\s*<?([^)\s>]+)/g },
+    { kind: 'link', pattern: /\b(?:href|link|ctaLink)=["']([^"']+)["']/g }
+  ];
+  for (const { kind, pattern } of patterns) {
+    for (const match of body.matchAll(pattern)) {
+      links.push({ kind, url: match[1], line: lineAt(body, match.index) });
+    }
+  }
+  return links;
+}
+
+function serviceCardLinks(body, defaultUrl) {
+  return [...body.matchAll(/<ServiceCard\b[\s\S]*?\/?>/g)].map(match => {
+    const url = match[0].match(/\bctaUrl=["']([^"']+)["']/)?.[1] ?? defaultUrl;
+    return { kind: 'service-card', url, line: lineAt(body, match.index) };
+  });
+}
+
+function listFiles(dir, extensions) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full, extensions);
+    return extensions.includes(path.extname(entry.name)) ? [full] : [];
+  });
+}
+
+function relative(file) {
+  return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+// Every route the build produces, mapped to the anchors it is known to have
+function buildRoutes(entries, taxonomy, mdxByFile) {
+  const routes = new Map();
+  const addRoute = (route, anchors = new Set()) => routes.set(route, anchors);
+
+  // Static pages, with ids written literally in the page and the headings of
+  // any MDX it imports
+  for (const file of listFiles(PAGES_DIR, ['.astro', '.ts'])) {
+    const route = relative(file).replace(/^src\/pages/, '').replace(/\.(astro|ts)$/, '').replace(/\/index$/, '') || '/';
+    if (route.includes('[')) continue;
+    const source = fs.readFileSync(file, 'utf-8');
+    const anchors = new Set([...source.matchAll(/\bid=["']([^"']+)["']/g)].map(match => match[1]));
+    for (const match of source.matchAll(/from\s+['"]([^'"]+\.mdx)['"]/g)) {
+      const mdx = mdxByFile.get(path.resolve(path.dirname(file), match[1]));
+      mdx?.anchors.forEach(anchor => anchors.add(anchor));
+    }
+    addRoute(route, anchors);
+  }
+
+  // /learn gives each category section the category's slug as its id
+  for (const category of taxonomy.learn) {
+    routes.get('/learn')?.add(category.slug);
+  }
+
+  const published = entries.filter(entry => !entry.data.draft);
+  for (const entry of published) {
+    addRoute(`/${entry.collection}/${entry.slug}`, entry.anchors);
+  }
+
+  for (const collection of COLLECTIONS) {
+    for (const category of taxonomy[collection]) {
+      const count = published.filter(entry => entry.collection === collection && entry.categories.includes(category.name)).length;
+      if (count === 0) continue;
+      const base = `/${collection}/category/${category.slug}`;
+      addRoute(base);
+      if (collection === 'blog') {
+        for (let page = 2; page <= Math.ceil(count / POSTS_PER_PAGE); page++) addRoute(`${base}/${page}`);
+      }
+    }
+  }
+
+  // The blog index is page 1 of blog/[...page].astro
+  addRoute('/blog');
+  const posts = published.filter(entry => entry.collection === 'blog').length;
+  for (let page = 2; page <= Math.ceil(posts / POSTS_PER_PAGE); page++) {
+    addRoute(`/blog/${page}`);
+  }
+
+  return routes;
+}
+
+// Redirect rules from public/_redirects, skipping comments and blank lines
+function readRedirects() {
+  if (!fs.existsSync(REDIRECTS_PATH)) return [];
+  return fs.readFileSync(REDIRECTS_PATH, 'utf-8').split('\n').flatMap((text, index) => {
+    const [from, to] = text.replace(/#.*/, '').trim().split(/\s+/);
+    return from && to ? [{ from, to, line: index + 1 }] : [];
+  });
+}
+
+function lintContent() {
+  const problems = [];
+  const report = (severity, rule, file, line, message) => {
+    problems.push({ severity, rule, file: relative(file), line, message });
+  };
+
+  const taxonomy = JSON.parse(fs.readFileSync(TAXONOMY_PATH, 'utf-8'));
+  const serviceCardDefault = fs.readFileSync(SERVICE_CARD_PATH, 'utf-8').match(/ctaUrl\s*=\s*["']([^"']+)["']/)?.[1];
+
+  const documents = listFiles(CONTENT_DIR, ['.md', '.mdx']).map(file => {
+    const mdx = readMdx(file);
+    const collection = relative(file).split('/')[2];
+    return {
+      ...mdx,
+      collection: COLLECTIONS.includes(collection) && path.dirname(file) === path.join(CONTENT_DIR, collection) ? collection : null,
+      slug: path.basename(file).replace(/\.mdx?$/, ''),
+      data: mdx.data ?? {},
+      anchors: headingIds(mdx.body)
+    };
+  });
+  const entries = documents
+    .filter(document => document.collection)
+    .map(document => {
+      const category = document.data.category ?? [];
+      return { ...document, categories: Array.isArray(category) ? category : [category] };
+    });
+  const mdxByFile = new Map(documents.map(document => [document.file, document]));
+  const routes = buildRoutes(entries, taxonomy, mdxByFile);
+  const drafts = new Set(entries.filter(entry => entry.data.draft).map(entry => `/${entry.collection}/${entry.slug}`));
+  const redirects = readRedirects();
+  const redirectSources = new Set(redirects.map(rule => rule.from).filter(from => !from.includes('*')));
+
+  // null when the URL resolves, otherwise why it doesn't
+  function checkUrl(url, from) {
+    if (url.startsWith(SITE_ORIGIN)) url = url.slice(SITE_ORIGIN.length) || '/';
+    if (!url.startsWith('/') && !url.startsWith('#')) return null;
+    if (url.startsWith('//')) return null;
+
+    const [pathAndQuery, anchor] = url.split('#');
+    let route = pathAndQuery.split('?')[0] || from;
+    if (route.length > 1) route = route.replace(/\/$/, '');
+
+    if (routes.has(route)) {
+      if (anchor && !routes.get(route).has(decodeURIComponent(anchor))) {
+        return `#${anchor} is not a heading or id on ${route}`;
+      }
+      return null;
+    }
+    if (drafts.has(route)) return { rule: 'draft-link', message: `${route} is a draft and is not built` };
+    if (redirectSources.has(route)) return null;
+    if (fs.existsSync(path.join(PUBLIC_DIR, route)) && fs.statSync(path.join(PUBLIC_DIR, route)).isFile()) return null;
+    return `${route} is not a page on the site`;
+  }
+
+  for (const document of documents) {
+    if (document.error) {
+      report('error', 'frontmatter', document.file, 1, document.error);
+      continue;
+    }
+    for (const field of ['title', 'description']) {
+      if (typeof document.data[field] !== 'string' || !document.data[field].trim()) {
+        report('error', 'frontmatter', document.file, 1, `missing ${field}`);
+      }
+    }
+
+    const from = document.collection ? `/${document.collection}/${document.slug}` : null;
+    const links = [...extractLinks(document.body), ...serviceCardLinks(document.body, serviceCardDefault)];
+    for (const link of links) {
+      // In-page anchors in top-level MDX belong to whichever page imports it
+      if (!from && link.url.startsWith('#')) {
+        if (!document.anchors.has(decodeURIComponent(link.url.slice(1)))) {
+          report('error', 'internal-link', document.file, link.line, `${link.url} is not a heading or id in this file`);
+        }
+        continue;
+      }
+      const problem = checkUrl(link.url, from);
+      if (!problem) continue;
+      if (typeof problem === 'object') {
+        report('error', problem.rule, document.file, link.line, `${link.url}: ${problem.message}`);
+      } else {
+        report('error', link.kind === 'service-card' ? 'service-card' : 'internal-link', document.file, link.line, `${link.url}: ${problem}`);
+      }
+    }
+  }
+
+  for (const entry of entries.filter(entry => entry.collection === 'learn')) {
+    // The places src/utils/entryImage.ts looks, before the placeholder
+    const candidates = [
+      ...['png', 'jpg', 'jpeg', 'webp'].map(extension => path.join(PUBLIC_DIR, 'images', `${entry.slug}.${extension}`)),
+      ...['png', 'jpg', 'jpeg', 'webp', 'avif'].map(extension => path.join(ASSET_IMAGES_DIR, `${entry.slug}.${extension}`))
+    ];
+    if (!candidates.some(file => fs.existsSync(file))) {
+      report(entry.data.draft ? 'warning' : 'error', 'hero-image', entry.file, 1,
+        `no image in public/images or src/assets/images for ${entry.slug}; the page would fall back to the placeholder`);
+    }
+  }
+
+  for (const rule of redirects) {
+    // Placeholder targets depend on the request, so only literal ones are checked
+    if (/[:*]/.test(rule.to.replace(/^https?:\/\//, ''))) continue;
+    const target = rule.to.replace(/\/index\.html$/, '') || '/';
+    const problem = checkUrl(target, null);
+    if (problem) {
+      report('error', 'redirect-target', REDIRECTS_PATH, rule.line,
+        `${rule.from} → ${rule.to}: ${typeof problem === 'object' ? problem.message : problem}`);
+    }
+  }
+
+  const byDescription = new Map();
+  for (const document of documents) {
+    const description = document.data.description?.trim();
+    if (!description) continue;
+    byDescription.set(description, [...(byDescription.get(description) ?? []), document]);
+  }
+  for (const group of byDescription.values()) {
+    if (group.length < 2) continue;
+    for (const document of group) {
+      const others = group.filter(other => other !== document).map(other => relative(other.file));
+      report('error', 'duplicate-description', document.file, 1, `description is the same as in ${others.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      format: { type: 'string', default: 'text' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!['text', 'json'].includes(values.format)) {
+    console.error(`Unknown format: ${values.format}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  const problems = lintContent().sort((a, b) =>
+    a.file.localeCompare(b.file) || a.line - b.line || a.rule.localeCompare(b.rule)
+  );
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+  const warnings = problems.length - errors;
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify({ errors, warnings, problems }, null, 2));
+  } else {
+    // One problem per line: file:line: severity [rule] message
+    for (const problem of problems) {
+      console.log(`${problem.file}:${problem.line}: ${problem.severity} [${problem.rule}] ${problem.message}`);
+    }
+    console.log(`${errors} ${errors === 1 ? 'error' : 'errors'}, ${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`);
+  }
+
+  if (errors > 0) {
+    process.exit(1);
+  }
+}
+
+main();
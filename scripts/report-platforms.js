@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import yaml from 'js-yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT = path.join(__dirname, '..');
+const PLATFORMS_DIR = path.join(ROOT, 'src/content/platforms');
+const PRICING_PATH = path.join(ROOT, 'src/data/pricing.json');
+
+// The window the site's "may have changed" note uses, shared with src/utils/platforms.ts
+const { verificationWindowDays: DEFAULT_MAX_AGE_DAYS } = JSON.parse(fs.readFileSync(PRICING_PATH, 'utf-8'));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USAGE = `Usage: node scripts/report-platforms.js [--max-age <days>] [--format text|json]
+
+Lists entries in src/content/platforms whose lastVerified date is more than
+--max-age days ago (default ${DEFAULT_MAX_AGE_DAYS}), oldest first, with the page to check
+their pricing against. Update lastVerified once an entry has been checked.
+
+Exits with status 1 when any entry is due for a check.`;
+
+function readPlatforms() {
+  return fs.readdirSync(PLATFORMS_DIR)
+    .filter(file => /\.ya?ml$/.test(file))
+    .sort()
+    .map(file => {
+      const data = yaml.load(fs.readFileSync(path.join(PLATFORMS_DIR, file), 'utf-8')) ?? {};
+      const lastVerified = data.lastVerified ? new Date(data.lastVerified) : null;
+      return {
+        id: path.basename(file).replace(/\.ya?ml$/, ''),
+        name: data.name ?? file,
+        source: data.source ?? data.url ?? '',
+        lastVerified: lastVerified && !Number.isNaN(lastVerified.getTime()) ? lastVerified : null
+      };
+    });
+}
+
+/**
+ * Entries last verified more than `maxAgeDays` ago, or never, oldest first.
+ *
+ * @param {number} maxAgeDays
+ * @param {Date} [now]
+ */
+function findStale(maxAgeDays, now = new Date()) {
+  return readPlatforms()
+    .map(platform => ({
+      ...platform,
+      ageDays: platform.lastVerified ? Math.floor((now - platform.lastVerified) / DAY_MS) : null
+    }))
+    .filter(platform => platform.ageDays === null || platform.ageDays > maxAgeDays)
+    .sort((a, b) => (b.ageDays ?? Infinity) - (a.ageDays ?? Infinity) || a.id.localeCompare(b.id));
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      'max-age': { type: 'string', default: String(DEFAULT_MAX_AGE_DAYS) },
+      format: { type: 'string', default: 'text' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const maxAgeDays = Number(values['max-age']);
+  if (!Number.isInteger(maxAgeDays) || maxAgeDays < 0) {
+    console.error(`--max-age must be a whole number of days, not ${values['max-age']}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (!['text', 'json'].includes(values.format)) {
+    console.error(`Unknown format: ${values.format}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  const stale = findStale(maxAgeDays);
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify({
+      maxAgeDays,
+      stale: stale.map(platform => ({
+        ...platform,
+        lastVerified: platform.lastVerified?.toISOString().slice(0, 10) ?? null
+      }))
+    }, null, 2));
+  } else {
+    // One entry per line: id: last verified <date> (<n> days ago) <source>
+    for (const platform of stale) {
+      const verified = platform.lastVerified
+        ? `last verified ${platform.lastVerified.toISOString().slice(0, 10)} (${platform.ageDays} days ago)`
+        : 'never verified';
+      console.log(`${platform.id}: ${verified} ${platform.source}`);
+    }
+    console.log(`${stale.length} ${stale.length === 1 ? 'entry' : 'entries'} not verified in the last ${maxAgeDays} days`);
+  }
+
+  if (stale.length > 0) {
+    process.exit(1);
+  }
+}
+
+main();
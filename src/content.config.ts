@@ -1,28 +1,94 @@
-import { defineCollection, z } from 'astro:content';
+import { defineCollection, reference, z } from 'astro:content';
+import { BLOG_CATEGORIES, LEARN_CATEGORIES } from './utils/taxonomy';
 
-const learn = defineCollection({
-  type: 'content',
-  schema: z.object({
+// Art direction for scripts/generate-images.js; baseConfig names a BASE_CONFIGS entry there
+const imageSchema = z.object({
+  specificElements: z.string(),
+  accentColor: z.string().optional(),
+  baseConfig: z.enum(['featureCard', 'heroBackground', 'pageHero']).default('featureCard'),
+}).strict();
+
+// One category or a list of them, each from the collection's taxonomy in
+// src/data/taxonomy.json, so a typo fails the build instead of adding a
+// section. Always parsed to an array; normalizing before validation also
+// gets a clearer error listing the allowed names than a union would.
+function categorySchema(categories: [string, ...string[]]) {
+  return z.preprocess(
+    value => (typeof value === 'string' ? [value] : value),
+    z.array(z.enum(categories)).nonempty()
+  );
+}
+
+// Fields shared by learn articles and blog posts. Unknown keys are rejected
+// so a misspelled field is reported rather than silently ignored.
+function articleSchema(collection: 'learn' | 'blog', categories: [string, ...string[]]) {
+  return z.object({
     title: z.string(),
     description: z.string(),
-    publishedDate: z.string(),
-    readingTime: z.string(),
-    category: z.union([z.string(), z.array(z.string())]),
-  }),
+    publishedDate: z.coerce.date(),
+    updatedDate: z.coerce.date().optional(),
+    // Overrides the estimate from src/plugins/remark-reading-time.js
+    readingTime: z.string().optional(),
+    author: z.string().optional(),
+    tags: z.array(z.string()).default([]),
+    // Drafts are only rendered by `astro dev`; see getPublishedCollection()
+    draft: z.boolean().default(false),
+    // Slugs of hand-picked related entries in the same collection
+    related: z.array(reference(collection)).default([]),
+    // Old URLs of this entry, such as "/learn/previous-slug"; redirected
+    // here by scripts/generate-redirects.js
+    redirectFrom: z.array(z.string().startsWith('/')).default([]),
+    // Set to false to leave out the table of contents
+    toc: z.boolean().default(true),
+    category: categorySchema(categories),
+    image: imageSchema.optional(),
+  }).strict().refine(
+    data => !data.updatedDate || data.updatedDate >= data.publishedDate,
+    { message: 'updatedDate must not be earlier than publishedDate', path: ['updatedDate'] }
+  );
+}
+
+// Platforms and tools shown on /tools and in comparison articles, one YAML
+// file each in src/content/platforms. Prices go stale, so every entry says
+// where its pricing came from and, once someone has checked it there, when;
+// `npm run report:platforms` lists the ones due for a check.
+const pricingTierSchema = z.object({
+  plan: z.string().optional(), // Such as "Self-hosted" or "Enterprise"
+  price: z.string(), // As the vendor quotes it: "$49+/month", "Open source"
+}).strict();
+
+const platforms = defineCollection({
+  type: 'data',
+  schema: z.object({
+    name: z.string(),
+    category: z.string(),
+    description: z.string(),
+    url: z.string().url(),
+    // Comparison table columns; only needed for entries compared in a table
+    focus: z.string().optional(),
+    setupTime: z.string().optional(),
+    bestFor: z.string().optional(),
+    features: z.array(z.string()).default([]),
+    pricing: z.array(pricingTierSchema).nonempty(),
+    source: z.string().url(), // Page the pricing was checked against
+    // Set only after checking the price against `source`; entries without
+    // it are shown as unverified
+    lastVerified: z.coerce.date().optional(),
+  }).strict(),
+});
+
+const learn = defineCollection({
+  type: 'content',
+  schema: articleSchema('learn', LEARN_CATEGORIES),
 });
 
 const blog = defineCollection({
   type: 'content',
-  schema: z.object({
-    title: z.string(),
-    description: z.string(),
-    publishedDate: z.string(),
-    readingTime: z.string(),
-    category: z.union([z.string(), z.array(z.string())]),
-  }),
+  schema: articleSchema('blog', BLOG_CATEGORIES),
 });
 
 export const collections = {
   learn,
   blog,
-}; 
\ No newline at end of file
+  platforms,
+};
@@ -0,0 +1,325 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatDate, getGitLastModified, readFrontmatter } from '../../scripts/lib/content-files.js';
+
+/**
+ * @typedef {'always' | 'hourly' | 'daily' | 'weekly' | 'monthly' | 'yearly' | 'never'} ChangeFreq
+ *
+ * @typedef {object} SitemapRule
+ * @property {string} match - Route pattern. `*` matches one path segment, `**` any number.
+ * @property {number} [priority]
+ * @property {ChangeFreq} [changefreq]
+ *
+ * @typedef {object} SitemapImageRule
+ * @property {string} match - Route pattern, as in {@link SitemapRule}.
+ * @property {string} src - Image path; `[slug]` is replaced with the last route segment.
+ *
+ * @typedef {object} SitemapOptions
+ * @property {string[]} [include] - Route patterns to list (default: every emitted page).
+ * @property {string[]} [exclude] - Route patterns to leave out, applied after `include`.
+ * @property {SitemapRule[]} [rules] - Priority/changefreq rules; the first matching rule wins.
+ * @property {{ priority: number, changefreq: ChangeFreq }} [defaults]
+ * @property {SitemapImageRule[]} [images] - Images to declare for matching routes. The image
+ *   title and caption come from the page's frontmatter `title` and `description`.
+ * @property {Record<string, string>} [groups] - Child sitemap name → route pattern, used once
+ *   the sitemap is split into an index. Unmatched routes go to `pages`.
+ * @property {number} [maxUrls] - Split into a sitemap index above this many URLs.
+ * @property {number} [maxBytes] - Split into a sitemap index above this file size.
+ * @property {string} [filename]
+ */
+
+const DEFAULTS = { priority: 0.5, changefreq: 'monthly' };
+
+// Limits from the sitemaps.org protocol
+const MAX_URLS = 50000;
+const MAX_BYTES = 50 * 1024 * 1024;
+
+const URLSET_OPEN = '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">';
+const URLSET_IMAGE_OPEN = '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">';
+
+// Convert a route pattern such as `/learn/*` into a regular expression
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split(/(\*\*|\*)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]+';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Sources of the redirects (not rewrites) in Netlify's _redirects file in
+// the build output, as regular expressions. A redirected URL never serves a
+// page, so it doesn't belong in the sitemap.
+function readRedirectSources(dir) {
+  const file = fileURLToPath(new URL('_redirects', dir));
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8').split('\n').flatMap(line => {
+    const [from, to, status = '301'] = line.replace(/#.*/, '').trim().split(/\s+/);
+    if (!from || !to || !/^30\d/.test(status)) {
+      return [];
+    }
+    const source = from
+      .split(/(\*|:\w+)/)
+      .map(part => {
+        if (part === '*') return '.*';
+        if (part.startsWith(':')) return '[^/]+';
+        return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return [new RegExp(`^${source}$`)];
+  });
+}
+
+function matchesAny(route, patterns) {
+  return patterns.some(pattern => patternToRegExp(pattern).test(route));
+}
+
+// lastmod for a content entry: updatedDate, then publishedDate from its
+// frontmatter, then git
+function getContentLastModified(filepath, { updatedDate, publishedDate }) {
+  const date = updatedDate || publishedDate;
+  return (date && formatDate(date)) || getGitLastModified(filepath);
+}
+
+// Content entries live at src/content/<route>.mdx, so /learn/getting-started
+// maps to src/content/learn/getting-started.mdx and /tools to src/content/tools.mdx
+function findContentFile(contentDir, route) {
+  if (route === '/') {
+    return null;
+  }
+  for (const ext of ['.mdx', '.md']) {
+    const candidate = path.join(contentDir, `${route}${ext}`);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function renderUrl(url, { withImages }) {
+  let xml = '  <url>\n';
+  xml += `    <loc>${escapeXml(url.loc)}</loc>\n`;
+  if (url.lastmod) {
+    xml += `    <lastmod>${url.lastmod}</lastmod>\n`;
+  }
+  xml += `    <changefreq>${url.changefreq}</changefreq>\n`;
+  xml += `    <priority>${url.priority.toFixed(1)}</priority>\n`;
+  if (withImages) {
+    url.images.forEach(image => {
+      xml += '    <image:image>\n';
+      xml += `      <image:loc>${escapeXml(image.loc)}</image:loc>\n`;
+      if (image.title) {
+        xml += `      <image:title>${escapeXml(image.title)}</image:title>\n`;
+      }
+      if (image.caption) {
+        xml += `      <image:caption>${escapeXml(image.caption)}</image:caption>\n`;
+      }
+      xml += '    </image:image>\n';
+    });
+  }
+  xml += '  </url>\n';
+  return xml;
+}
+
+// Generate the XML sitemap
+function generateSitemapXML(urls, { withImages = true } = {}) {
+  const hasImages = withImages && urls.some(url => url.images.length > 0);
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `${hasImages ? URLSET_IMAGE_OPEN : URLSET_OPEN}\n`;
+  urls.forEach(url => {
+    xml += renderUrl(url, { withImages: hasImages });
+  });
+  xml += '</urlset>\n';
+  return xml;
+}
+
+// Generate the sitemap index pointing at each child sitemap
+function generateSitemapIndexXML(sitemaps) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+  sitemaps.forEach(sitemap => {
+    xml += '  <sitemap>\n';
+    xml += `    <loc>${escapeXml(sitemap.loc)}</loc>\n`;
+    if (sitemap.lastmod) {
+      xml += `    <lastmod>${sitemap.lastmod}</lastmod>\n`;
+    }
+    xml += '  </sitemap>\n';
+  });
+  xml += '</sitemapindex>\n';
+  return xml;
+}
+
+// Split URLs into chunks that each stay under the URL count and byte limits
+function chunkUrls(urls, { maxUrls, maxBytes, withImages }) {
+  const overhead = Buffer.byteLength(generateSitemapXML([], { withImages }), 'utf8') + URLSET_IMAGE_OPEN.length;
+  const chunks = [];
+  let current = [];
+  let size = overhead;
+
+  urls.forEach(url => {
+    const urlSize = Buffer.byteLength(renderUrl(url, { withImages }), 'utf8');
+    if (current.length > 0 && (current.length >= maxUrls || size + urlSize > maxBytes)) {
+      chunks.push(current);
+      current = [];
+      size = overhead;
+    }
+    current.push(url);
+    size += urlSize;
+  });
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+function latestLastmod(urls) {
+  return urls.map(url => url.lastmod).filter(Boolean).sort().pop() || null;
+}
+
+/**
+ * Writes sitemap.xml after the build from the routes Astro actually emitted,
+ * so unpublished content and removed pages never reach the sitemap, and
+ * leaves out any URL that _redirects sends elsewhere.
+ *
+ * @param {SitemapOptions} [options]
+ * @returns {import('astro').AstroIntegration}
+ */
+export default function sitemap(options = {}) {
+  const {
+    include = ['**'],
+    exclude = [],
+    rules = [],
+    defaults = DEFAULTS,
+    images = [],
+    groups = {},
+    maxUrls = MAX_URLS,
+    maxBytes = MAX_BYTES,
+    filename = 'sitemap.xml'
+  } = options;
+
+  let site;
+  let rootDir;
+  let resolvedRoutes = [];
+
+  return {
+    name: 'aipo-sitemap',
+    hooks: {
+      'astro:config:done': ({ config, logger }) => {
+        if (!config.site) {
+          logger.warn('`site` is not set in astro.config.mjs; sitemap URLs will be relative.');
+        }
+        site = (config.site || '').replace(/\/$/, '');
+        rootDir = fileURLToPath(config.root);
+      },
+
+      'astro:routes:resolved': ({ routes }) => {
+        resolvedRoutes = routes;
+      },
+
+      'astro:build:done': ({ pages, dir, logger }) => {
+        const contentDir = path.join(rootDir, 'src/content');
+        const redirected = readRedirectSources(dir);
+        const urls = [];
+
+        for (const page of pages) {
+          const route = `/${page.pathname}`.replace(/\/+$/, '') || '/';
+          const resolved = resolvedRoutes.find(r => r.patternRegex.test(route));
+
+          // Skip redirects, endpoints and anything outside the configured patterns
+          if (resolved && resolved.type !== 'page') continue;
+          if (!matchesAny(route, include) || matchesAny(route, exclude)) continue;
+          if (redirected.some(pattern => pattern.test(route))) continue;
+
+          const rule = rules.find(r => patternToRegExp(r.match).test(route)) || {};
+          const contentFile = findContentFile(contentDir, route);
+          const frontmatter = contentFile ? readFrontmatter(contentFile) : {};
+          let lastmod = null;
+          if (contentFile) {
+            lastmod = getContentLastModified(contentFile, frontmatter);
+          } else if (resolved) {
+            lastmod = getGitLastModified(path.join(rootDir, resolved.entrypoint));
+          }
+
+          const slug = route.split('/').pop();
+          const pageImages = images
+            .filter(image => patternToRegExp(image.match).test(route))
+            .map(image => image.src.replace('[slug]', slug))
+            .filter(src => fs.existsSync(fileURLToPath(new URL(`.${src}`, dir))))
+            .map(src => ({
+              loc: `${site}${src}`,
+              title: frontmatter.title,
+              caption: frontmatter.description
+            }));
+
+          const group = Object.keys(groups).find(name => patternToRegExp(groups[name]).test(route)) || 'pages';
+
+          urls.push({
+            loc: `${site}${route}`,
+            lastmod,
+            changefreq: rule.changefreq || defaults.changefreq,
+            priority: rule.priority ?? defaults.priority,
+            images: pageImages,
+            group
+          });
+        }
+
+        urls.sort((a, b) => b.priority - a.priority || a.loc.localeCompare(b.loc));
+
+        const writeSitemap = (name, xml) => {
+          fs.writeFileSync(fileURLToPath(new URL(name, dir)), xml, 'utf8');
+        };
+
+        const singleXML = generateSitemapXML(urls);
+        if (urls.length <= maxUrls && Buffer.byteLength(singleXML, 'utf8') <= maxBytes) {
+          writeSitemap(filename, singleXML);
+          const imageCount = urls.reduce((count, url) => count + url.images.length, 0);
+          logger.info(`Wrote ${urls.length} URLs and ${imageCount} images to ${filename}`);
+          return;
+        }
+
+        // Too large for one file: write one child sitemap per group, plus one
+        // that alone declares the images, splitting further whenever a child
+        // hits the limits
+        const baseName = filename.replace(/\.xml$/, '');
+        const childSets = [
+          ...['pages', ...Object.keys(groups)].map(name => ({
+            name,
+            urls: urls.filter(url => url.group === name),
+            withImages: false
+          })),
+          { name: 'images', urls: urls.filter(url => url.images.length > 0), withImages: true }
+        ];
+
+        const children = [];
+        for (const { name, urls: groupUrls, withImages } of childSets) {
+          const chunks = chunkUrls(groupUrls, { maxUrls, maxBytes, withImages });
+          chunks.forEach((chunk, index) => {
+            const childName = chunks.length > 1
+              ? `${baseName}-${name}-${index + 1}.xml`
+              : `${baseName}-${name}.xml`;
+            writeSitemap(childName, generateSitemapXML(chunk, { withImages }));
+            children.push({ loc: `${site}/${childName}`, lastmod: latestLastmod(chunk) });
+          });
+        }
+
+        writeSitemap(filename, generateSitemapIndexXML(children));
+        logger.info(`Wrote sitemap index ${filename} with ${children.length} sitemaps covering ${urls.length} URLs`);
+      }
+    }
+  };
+}
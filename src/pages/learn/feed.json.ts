@@ -0,0 +1,4 @@
+import type { APIRoute } from 'astro';
+import { feedResponse } from '../../utils/feeds';
+
+export const GET: APIRoute = ({ site }) => feedResponse('learn', 'json', site);
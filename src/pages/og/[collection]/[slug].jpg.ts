@@ -0,0 +1,22 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import type { CollectionEntry } from 'astro:content';
+import { getPublishedCollection } from '../../../utils/content';
+import { renderOgCard } from '../../../utils/ogCard';
+
+export const getStaticPaths = (async () => {
+  const entries = [...await getPublishedCollection('learn'), ...await getPublishedCollection('blog')];
+  return entries.map(entry => ({
+    params: { collection: entry.collection, slug: entry.slug },
+    props: { entry }
+  }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ entry: CollectionEntry<'learn' | 'blog'> }> = async ({ props, site }) => {
+  if (!site) {
+    throw new Error('Open Graph cards need `site` set in astro.config.mjs for the address they show');
+  }
+  const card = await renderOgCard(props.entry, site);
+  return new Response(new Uint8Array(card), {
+    headers: { 'Content-Type': 'image/jpeg' }
+  });
+};
@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { buildSearchIndex } from '../utils/searchIndex';
+
+export const GET: APIRoute = async () => new Response(JSON.stringify(await buildSearchIndex()), {
+  headers: { 'Content-Type': 'application/json; charset=utf-8' }
+});
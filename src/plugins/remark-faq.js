@@ -0,0 +1,47 @@
+/**
+ * Collects the question and answer of every `<FAQ question="...">` block
+ * into `faq` in the page's frontmatter, read back through
+ * `remarkPluginFrontmatter` after render() to build FAQPage JSON-LD. The
+ * answer is the block's text content, without markup.
+ */
+
+// Plain text of an MDX subtree, with block-level children on separate lines
+function toText(node) {
+  if (node.type === 'text' || node.type === 'inlineCode' || node.type === 'code') return node.value;
+  if (!node.children) return '';
+  const separator = node.children.some(child => child.type === 'paragraph' || child.type === 'list' || child.type === 'listItem') ? '\n' : '';
+  return node.children.map(toText).join(separator);
+}
+
+function findFaqs(node, found) {
+  if (node.type === 'mdxJsxFlowElement' && node.name === 'FAQ') {
+    found.push(node);
+    return;
+  }
+  for (const child of node.children ?? []) {
+    findFaqs(child, found);
+  }
+}
+
+export default function remarkFaq() {
+  return (tree, file) => {
+    const blocks = [];
+    findFaqs(tree, blocks);
+    if (blocks.length === 0) return;
+
+    const faq = blocks.map(block => {
+      const question = block.attributes.find(attribute => attribute.name === 'question')?.value;
+      if (typeof question !== 'string' || !question.trim()) {
+        file.fail('<FAQ> needs a literal question="..." attribute', block);
+      }
+      const answer = toText(block).replace(/[ \t]+/g, ' ').replace(/\n\s*/g, '\n').trim();
+      if (!answer) {
+        file.fail(`<FAQ question="${question}"> has no answer`, block);
+      }
+      return { question: question.trim(), answer };
+    });
+
+    const frontmatter = (file.data.astro ??= {}).frontmatter ??= {};
+    frontmatter.faq = faq;
+  };
+}
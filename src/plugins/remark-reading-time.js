@@ -0,0 +1,67 @@
+/**
+ * @typedef {object} ReadingTimeOptions
+ * @property {number} [wordsPerMinute] - Reading speed for prose.
+ * @property {number} [codeLinesPerMinute] - Reading speed for code blocks. Readers skim
+ *   code rather than read it word by word, so it is measured in lines.
+ */
+
+const DEFAULTS = { wordsPerMinute: 230, codeLinesPerMinute: 40 };
+
+// Nodes that render nothing a reader reads: imports/exports, JSX
+// expressions and frontmatter
+const SKIPPED = new Set(['mdxjsEsm', 'mdxFlowExpression', 'mdxTextExpression', 'yaml', 'toml']);
+
+function countWords(text) {
+  return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+// Prose words and code lines under a node. Literal string props on MDX
+// components (a ServiceCard's description, say) are rendered, so they count
+// as prose.
+function measure(node, totals) {
+  if (SKIPPED.has(node.type)) return;
+  if (node.type === 'code') {
+    totals.codeLines += node.value.split('\n').filter(line => line.trim()).length;
+    return;
+  }
+  if (node.type === 'text' || node.type === 'inlineCode') {
+    totals.words += countWords(node.value);
+  }
+  if (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') {
+    for (const attribute of node.attributes ?? []) {
+      if (attribute.type === 'mdxJsxAttribute' && typeof attribute.value === 'string' && !/^(\/|#|https?:)/.test(attribute.value)) {
+        totals.words += countWords(attribute.value);
+      }
+    }
+  }
+  for (const child of node.children ?? []) {
+    measure(child, totals);
+  }
+}
+
+export function formatReadingTime(minutes) {
+  return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+}
+
+/**
+ * Adds `wordCount` and `readingTime` (such as "8 minutes") to each page's
+ * frontmatter, read back through `remarkPluginFrontmatter` after render().
+ * Prose and code are timed separately. A `readingTime` already set in the
+ * frontmatter is kept, so an article can override the estimate.
+ *
+ * @param {ReadingTimeOptions} [options]
+ */
+export default function remarkReadingTime(options = {}) {
+  const { wordsPerMinute, codeLinesPerMinute } = { ...DEFAULTS, ...options };
+
+  return (tree, file) => {
+    const totals = { words: 0, codeLines: 0 };
+    measure(tree, totals);
+
+    const minutes = Math.max(1, Math.round(totals.words / wordsPerMinute + totals.codeLines / codeLinesPerMinute));
+    const frontmatter = (file.data.astro ??= {}).frontmatter ??= {};
+    frontmatter.wordCount = totals.words;
+    frontmatter.codeLines = totals.codeLines;
+    frontmatter.readingTime ??= formatReadingTime(minutes);
+  };
+}
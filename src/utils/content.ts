@@ -0,0 +1,71 @@
+// Helpers shared by the pages that list learn articles and blog posts
+import { getCollection, type CollectionEntry } from 'astro:content';
+import pagination from '../data/pagination.json';
+
+type ContentCollection = 'learn' | 'blog';
+type ContentEntry = CollectionEntry<ContentCollection>;
+
+// Blog listing and archive pages show this many posts per page. Set in
+// src/data/pagination.json, which scripts/lint-content.js also reads.
+export const POSTS_PER_PAGE = pagination.postsPerPage;
+
+/**
+ * The collection without `draft: true` entries. Drafts are kept in
+ * `astro dev` so they can be previewed, and left out of every build, which
+ * keeps them off listings, page routes, the sitemap and feeds. Use this
+ * instead of getCollection() for learn and blog content.
+ */
+export async function getPublishedCollection<C extends ContentCollection>(collection: C): Promise<CollectionEntry<C>[]> {
+  return getCollection(collection, ({ data }) => import.meta.env.DEV || !data.draft);
+}
+
+// Categories of an entry; the schema parses a single category to a list
+export function getCategories(entry: ContentEntry): string[] {
+  return entry.data.category;
+}
+
+export interface ReadingStats {
+  readingTime: string; // Such as "8 minutes"
+  wordCount: number;
+}
+
+/**
+ * Reading time and word count from src/plugins/remark-reading-time.js,
+ * which keeps a `readingTime` set in frontmatter. They only exist after
+ * render(); rendering here is cheap, as Astro caches the compiled entry.
+ */
+export async function getReadingStats(entry: ContentEntry): Promise<ReadingStats> {
+  const { remarkPluginFrontmatter } = await entry.render();
+  return {
+    readingTime: remarkPluginFrontmatter.readingTime,
+    wordCount: remarkPluginFrontmatter.wordCount
+  };
+}
+
+// Reading stats for a list of entries, keyed by slug
+export async function getReadingStatsBySlug(entries: ContentEntry[]): Promise<Map<string, ReadingStats>> {
+  return new Map(await Promise.all(entries.map(async entry => [entry.slug, await getReadingStats(entry)] as const)));
+}
+
+// Newest first; entries published the same day fall back to title order
+export function sortByPublishedDate<T extends ContentEntry>(entries: T[]): T[] {
+  return [...entries].sort((a, b) =>
+    b.data.publishedDate.getTime() - a.data.publishedDate.getTime()
+    || a.data.title.localeCompare(b.data.title)
+  );
+}
+
+// Frontmatter dates are parsed as UTC midnight, so format them in UTC
+export function formatDate(date: Date): string {
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+// YYYY-MM-DD for <time datetime>
+export function isoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
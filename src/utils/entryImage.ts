@@ -0,0 +1,87 @@
+// The image for a learn article or blog post, looked up by slug. Generated
+// art in public/images comes first, since the manifest has responsive
+// variants of it; then an image in src/assets/images, which Astro
+// optimizes; then any other file in public/images; then the placeholder.
+import fs from 'fs';
+import path from 'path';
+import type { ImageMetadata } from 'astro';
+import type { CollectionEntry } from 'astro:content';
+import { getOgImage, hasGeneratedImage, type OgImage } from './imageManifest';
+import placeholder from '../assets/images/placeholder.jpg';
+
+type ImageEntry = CollectionEntry<'learn' | 'blog'>;
+
+export type EntryImageSource = 'generated' | 'public' | 'asset' | 'placeholder';
+
+export interface EntryImage {
+  src: string | ImageMetadata; // Path under public/ or an imported asset, as FeatureCard and Hero take
+  source: EntryImageSource;
+}
+
+export const PLACEHOLDER_IMAGE: ImageMetadata = placeholder;
+
+// Generated art is always PNG; hand-made images may be any of these
+const PUBLIC_EXTENSIONS = ['jpg', 'jpeg', 'webp'];
+const PUBLIC_IMAGES_DIR = path.join(process.cwd(), 'public/images');
+
+// Keyed by file name without its extension
+const assets = new Map(
+  Object.entries(import.meta.glob<ImageMetadata>('../assets/images/*.{png,jpg,jpeg,webp,avif}', { eager: true, import: 'default' }))
+    .map(([file, image]) => [path.basename(file).replace(/\.[^.]+$/, ''), image])
+);
+
+/**
+ * The best image for an entry, falling back to PLACEHOLDER_IMAGE. Pass
+ * `src` to FeatureCard or Hero, which pick the markup for each kind.
+ */
+export function getEntryImage(entry: ImageEntry): EntryImage {
+  const generated = `/images/${entry.slug}.png`;
+  if (hasGeneratedImage(generated)) {
+    return { src: generated, source: 'generated' };
+  }
+
+  const asset = assets.get(entry.slug);
+  if (asset) {
+    return { src: asset, source: 'asset' };
+  }
+
+  // A PNG here without a manifest entry only needs generate-derivatives.js
+  // to run, so it is used as is until then
+  const file = ['png', ...PUBLIC_EXTENSIONS]
+    .map(extension => `${entry.slug}.${extension}`)
+    .find(name => fs.existsSync(path.join(PUBLIC_IMAGES_DIR, name)));
+  if (file) {
+    return { src: `/images/${file}`, source: 'public' };
+  }
+
+  return { src: PLACEHOLDER_IMAGE, source: 'placeholder' };
+}
+
+/**
+ * The 1200x630 JPEG crop of an entry's generated art, for og:image, feeds
+ * and structured data. Other images have no crop, so this is undefined.
+ */
+export function getEntryOgImage(entry: ImageEntry): OgImage | undefined {
+  const { src, source } = getEntryImage(entry);
+  return source === 'generated' && typeof src === 'string' ? getOgImage(src) : undefined;
+}
+
+const reported = new Set<string>();
+
+/**
+ * Warn, once per entry, about entries that show the placeholder. Called
+ * from each collection's getStaticPaths, so a build lists them all.
+ */
+export function warnAboutPlaceholders(entries: ImageEntry[]): void {
+  const missing = entries
+    .filter(entry => getEntryImage(entry).source === 'placeholder')
+    .map(entry => `${entry.collection}/${entry.slug}`)
+    .filter(id => !reported.has(id));
+  if (missing.length === 0) return;
+
+  missing.forEach(id => reported.add(id));
+  console.warn(
+    `[images] ${missing.length} ${missing.length === 1 ? 'entry uses' : 'entries use'} the placeholder image; ` +
+    `add public/images/<slug>.png or src/assets/images/<slug>.jpg:\n  ${missing.join('\n  ')}`
+  );
+}
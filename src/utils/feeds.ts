@@ -0,0 +1,215 @@
+// RSS 2.0, Atom and JSON Feed output for the learn and blog collections.
+// Each feed file in src/pages is a one-line endpoint calling feedResponse().
+import type { CollectionEntry } from 'astro:content';
+import { getCategories, getPublishedCollection, sortByPublishedDate } from './content';
+import { getEntryOgImage } from './entryImage';
+import { renderEntryHtml } from './render';
+
+type FeedCollection = 'learn' | 'blog';
+type FeedEntry = CollectionEntry<FeedCollection>;
+
+export type FeedId = 'all' | 'learn' | 'blog';
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+interface FeedConfig {
+  title: string;
+  description: string;
+  path: string; // Section the feed belongs to; feed files live under it
+  collections: FeedCollection[];
+}
+
+export const FEEDS: Record<FeedId, FeedConfig> = {
+  all: {
+    title: 'AI Performance Optimization',
+    description: 'New guides from the Learning Center and posts from the blog.',
+    path: '',
+    collections: ['learn', 'blog']
+  },
+  learn: {
+    title: 'AI Performance Optimization Learning Center',
+    description: 'Expert guides on AI cost optimization, performance tuning, routing and reliability.',
+    path: '/learn',
+    collections: ['learn']
+  },
+  blog: {
+    title: 'AI Performance Optimization Blog',
+    description: 'Release notes, case studies and updates on AI performance optimization.',
+    path: '/blog',
+    collections: ['blog']
+  }
+};
+
+export const FEED_FORMATS: Record<FeedFormat, { file: string; type: string; label: string }> = {
+  rss: { file: 'feed.xml', type: 'application/rss+xml', label: 'RSS' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom' },
+  json: { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' }
+};
+
+const AUTHOR = 'AI Performance Optimization';
+
+export function feedPath(id: FeedId, format: FeedFormat): string {
+  return `${FEEDS[id].path}/${FEED_FORMATS[format].file}`;
+}
+
+interface FeedItem {
+  url: string;
+  title: string;
+  description: string;
+  html: string;
+  published: Date;
+  updated?: Date;
+  author?: string;
+  categories: string[]; // Categories followed by tags
+  image?: { url: string; width: number; height: number };
+}
+
+// Full article HTML for feed readers, with links made absolute
+async function renderEntry(entry: FeedEntry, site: URL): Promise<string> {
+  return absolutizeUrls(await renderEntryHtml(entry), site);
+}
+
+// Feed readers show content out of context, so root-relative links
+// and images need the site origin
+function absolutizeUrls(html: string, site: URL): string {
+  return html.replace(/\b(href|src)="\/(?!\/)/g, `$1="${site.origin}/`);
+}
+
+async function getFeedItems(id: FeedId, site: URL): Promise<FeedItem[]> {
+  const entries = (await Promise.all(FEEDS[id].collections.map(name => getPublishedCollection(name)))).flat();
+
+  return Promise.all(sortByPublishedDate(entries).map(async (entry): Promise<FeedItem> => {
+    const og = getEntryOgImage(entry);
+    return {
+      url: new URL(`/${entry.collection}/${entry.slug}`, site).href,
+      title: entry.data.title,
+      description: entry.data.description,
+      html: await renderEntry(entry, site),
+      published: entry.data.publishedDate,
+      updated: entry.data.updatedDate,
+      author: entry.data.author,
+      categories: [...getCategories(entry), ...entry.data.tags],
+      image: og?.width && og.height
+        ? { url: new URL(og.src, site).href, width: og.width, height: og.height }
+        : undefined
+    };
+  }));
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// CDATA cannot contain "]]>", so split it across two sections
+function cdata(value: string): string {
+  return `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function lastUpdated(items: FeedItem[]): Date {
+  const times = items.map(item => (item.updated || item.published).getTime());
+  return new Date(times.length > 0 ? Math.max(...times) : 0);
+}
+
+function renderRss(config: FeedConfig, items: FeedItem[], self: string, home: string): string {
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${item.url}</link>
+      <guid isPermaLink="true">${item.url}</guid>
+      <description>${escapeXml(item.description)}</description>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+${item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>\n` : ''}\
+${item.categories.map(cat => `      <category>${escapeXml(cat)}</category>\n`).join('')}\
+${item.image ? `      <media:content url="${item.image.url}" medium="image" type="image/jpeg" width="${item.image.width}" height="${item.image.height}"/>\n` : ''}\
+      <content:encoded>${cdata(item.html)}</content:encoded>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(config.title)}</title>
+    <link>${home}</link>
+    <description>${escapeXml(config.description)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${lastUpdated(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${self}" rel="self" type="${FEED_FORMATS.rss.type}"/>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(config: FeedConfig, items: FeedItem[], self: string, home: string): string {
+  const entries = items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${item.url}"/>
+    <id>${item.url}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${(item.updated || item.published).toISOString()}</updated>
+    <summary>${escapeXml(item.description)}</summary>
+${item.author ? `    <author><name>${escapeXml(item.author)}</name></author>\n` : ''}\
+${item.categories.map(cat => `    <category term="${escapeXml(cat)}"/>\n`).join('')}\
+${item.image ? `    <link rel="enclosure" href="${item.image.url}" type="image/jpeg"/>\n` : ''}\
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(config.title)}</title>
+  <subtitle>${escapeXml(config.description)}</subtitle>
+  <link href="${home}"/>
+  <link href="${self}" rel="self" type="${FEED_FORMATS.atom.type}"/>
+  <id>${home}</id>
+  <updated>${lastUpdated(items).toISOString()}</updated>
+  <author><name>${AUTHOR}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function renderJsonFeed(config: FeedConfig, items: FeedItem[], self: string, home: string): string {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: config.title,
+    home_page_url: home,
+    feed_url: self,
+    description: config.description,
+    language: 'en-US',
+    authors: [{ name: AUTHOR }],
+    items: items.map(item => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.description,
+      authors: item.author ? [{ name: item.author }] : undefined,
+      content_html: item.html,
+      image: item.image?.url,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated?.toISOString(),
+      tags: item.categories
+    }))
+  }, null, 2) + '\n';
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+/**
+ * Build one feed as an endpoint response. `site` is the configured site
+ * URL, which every link in a feed must be absolute against.
+ */
+export async function feedResponse(id: FeedId, format: FeedFormat, site: URL | undefined): Promise<Response> {
+  if (!site) {
+    throw new Error('Feeds need `site` set in astro.config.mjs to build absolute URLs');
+  }
+  const config = FEEDS[id];
+  const items = await getFeedItems(id, site);
+  const self = new URL(feedPath(id, format), site).href;
+  const home = new URL(config.path || '/', site).href;
+  const body = RENDERERS[format](config, items, self, home);
+
+  return new Response(body, {
+    headers: { 'Content-Type': `${FEED_FORMATS[format].type}; charset=utf-8` }
+  });
+}
@@ -0,0 +1,78 @@
+// Responsive variants of the generated images in public/images, written by
+// scripts/generate-derivatives.js (run automatically before dev and build)
+import manifest from '../data/image-manifest.json';
+
+export type ImageVariant = 'card' | 'hero' | 'og';
+type ImageFormat = 'avif' | 'webp' | 'jpg';
+
+interface DerivedFile {
+  src: string;
+  width: number;
+  height: number;
+}
+
+interface ManifestEntry {
+  src: string;
+  width: number;
+  height: number;
+  hash: string;
+  variants: Record<ImageVariant, Partial<Record<ImageFormat, DerivedFile[]>>>;
+}
+
+// An og:image; dimensions are known for generated images only
+export type OgImage = Partial<DerivedFile> & { src: string };
+
+export interface ResponsiveImage {
+  sources: { type: string; srcset: string }[];
+  src: string;
+  width: number;
+  height: number;
+}
+
+const entries = manifest as Record<string, ManifestEntry>;
+
+const MIME_TYPES: Record<ImageFormat, string> = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpg: 'image/jpeg'
+};
+
+// Accepts an id ("getting-started") or a master path ("/images/getting-started.png")
+function getEntry(image: string): ManifestEntry | undefined {
+  const match = image.match(/^\/images\/([^/]+)\.png$/);
+  return entries[match ? match[1] : image];
+}
+
+// Whether generated art exists for an id or master path
+export function hasGeneratedImage(image: string): boolean {
+  return getEntry(image) !== undefined;
+}
+
+function toSrcset(files: DerivedFile[]): string {
+  return files.map(file => `${file.src} ${file.width}w`).join(', ');
+}
+
+/**
+ * Sources for a <picture> element, best format first. The fallback `src` is
+ * the smallest WebP. Returns null for images that are not in the manifest.
+ */
+export function getResponsiveImage(image: string, variant: ImageVariant): ResponsiveImage | null {
+  const formats = getEntry(image)?.variants[variant];
+  if (!formats) return null;
+
+  const sources = (Object.keys(formats) as ImageFormat[])
+    .filter(format => format !== 'jpg')
+    .map(format => ({ type: MIME_TYPES[format], srcset: toSrcset(formats[format]!) }));
+  const fallback = (formats.webp || formats.jpg)![0];
+
+  return { sources, src: fallback.src, width: fallback.width, height: fallback.height };
+}
+
+/**
+ * The 1200x630 JPEG crop used for og:image, since not every social network
+ * accepts WebP or AVIF. Paths that are not in the manifest are returned as is.
+ */
+export function getOgImage(image: string): OgImage {
+  const og = getEntry(image)?.variants.og.jpg?.[0];
+  return og || { src: image };
+}
@@ -0,0 +1,140 @@
+// Open Graph cards: a 1200x630 JPEG per learn article and blog post, with
+// the title, primary category and site name drawn over the entry's hero
+// art. Rendered with sharp from an SVG overlay by src/pages/og at build
+// time; entries without art get the hero's gradient instead.
+import path from 'path';
+import sharp from 'sharp';
+import type { CollectionEntry } from 'astro:content';
+import theme from '../data/theme.json';
+import { getCategories } from './content';
+import { getEntryOgImage } from './entryImage';
+import type { OgImage } from './imageManifest';
+
+type CardEntry = CollectionEntry<'learn' | 'blog'>;
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 72;
+
+const SITE_NAME = 'AI Performance Optimization';
+const SECTION_NAMES = { learn: 'Learning Center', blog: 'Blog' };
+
+// librsvg draws with the system's fonts, and Poppins is only a web font
+const FONT_FAMILY = "'DejaVu Sans', 'Helvetica Neue', Arial, sans-serif";
+
+// The title shrinks through these sizes until it fits in MAX_TITLE_LINES
+const TITLE_SIZES = [64, 56, 48];
+const MAX_TITLE_LINES = 3;
+const TITLE_LINE_HEIGHT = 1.2;
+const TITLE_WIDTH = WIDTH - PADDING * 2;
+const CATEGORY_LETTER_SPACING = 1;
+
+export function getOgCard(entry: CardEntry): OgImage {
+  return { src: `/og/${entry.collection}/${entry.slug}.jpg`, width: WIDTH, height: HEIGHT };
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// SVG text doesn't wrap, so lines are broken on an estimate of each
+// character's width in em, erring wide for a bold sans-serif
+function textWidth(text: string, size: number): number {
+  let width = 0;
+  for (const char of text) {
+    if (char === ' ') width += 0.35;
+    else if (/[iljft.,:;'!|()[\]]/.test(char)) width += 0.4;
+    else if (/[mwMW]/.test(char)) width += 0.95;
+    else if (/[A-Z0-9&%?]/.test(char)) width += 0.75;
+    else width += 0.65;
+  }
+  return width * size;
+}
+
+function wrap(text: string, size: number): string[] {
+  const lines: string[] = [];
+  for (const word of text.split(/\s+/)) {
+    const line = lines.length > 0 ? `${lines[lines.length - 1]} ${word}` : word;
+    if (lines.length > 0 && textWidth(line, size) <= TITLE_WIDTH) {
+      lines[lines.length - 1] = line;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+}
+
+// The largest size the title fits at, or the smallest with the last line
+// cut short
+function layoutTitle(title: string): { size: number; lines: string[] } {
+  for (const size of TITLE_SIZES) {
+    const lines = wrap(title, size);
+    if (lines.length <= MAX_TITLE_LINES) {
+      return { size, lines };
+    }
+  }
+
+  const size = TITLE_SIZES[TITLE_SIZES.length - 1];
+  const lines = wrap(title, size).slice(0, MAX_TITLE_LINES);
+  let last = lines[MAX_TITLE_LINES - 1];
+  while (textWidth(`${last}…`, size) > TITLE_WIDTH) {
+    last = last.replace(/\s*\S+$/, '');
+  }
+  lines[MAX_TITLE_LINES - 1] = `${last}…`;
+  return { size, lines };
+}
+
+function overlaySvg(entry: CardEntry, site: URL, hasArt: boolean): string {
+  const category = `${SECTION_NAMES[entry.collection]} · ${getCategories(entry)[0]}`.toUpperCase();
+  const pillWidth = textWidth(category, 22) + category.length * CATEGORY_LETTER_SPACING + 48;
+  const { size, lines } = layoutTitle(entry.data.title);
+  const lineHeight = size * TITLE_LINE_HEIGHT;
+  // Centre the title between the category and the footer
+  const titleTop = 176 + (MAX_TITLE_LINES - lines.length) * lineHeight / 2;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <defs>
+    <linearGradient id="fallback" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${theme.primary}"/>
+      <stop offset="1" stop-color="${theme.secondary}"/>
+    </linearGradient>
+    <linearGradient id="shade" x1="0" y1="0" x2="1" y2="0">
+      <stop offset="0" stop-color="${theme.dark}" stop-opacity="0.92"/>
+      <stop offset="0.6" stop-color="${theme.primary}" stop-opacity="0.8"/>
+      <stop offset="1" stop-color="${theme.primary}" stop-opacity="0.55"/>
+    </linearGradient>
+    <linearGradient id="rule" x1="0" y1="0" x2="1" y2="0">
+      <stop offset="0" stop-color="${theme.secondary}"/>
+      <stop offset="1" stop-color="${theme.accent}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#${hasArt ? 'shade' : 'fallback'})"/>
+  <rect x="${PADDING}" y="${PADDING}" width="${Math.round(pillWidth)}" height="44" rx="22" fill="${theme.secondary}"/>
+  <text x="${PADDING + 24}" y="${PADDING + 30}" font-family="${FONT_FAMILY}" font-size="22" font-weight="bold" letter-spacing="${CATEGORY_LETTER_SPACING}" fill="${theme.white}">${escapeXml(category)}</text>
+  <text font-family="${FONT_FAMILY}" font-size="${size}" font-weight="bold" fill="${theme.white}">
+${lines.map((line, index) => `    <tspan x="${PADDING}" y="${Math.round(titleTop + (index + 1) * lineHeight)}">${escapeXml(line)}</tspan>`).join('\n')}
+  </text>
+  <text x="${PADDING}" y="${HEIGHT - PADDING}" font-family="${FONT_FAMILY}" font-size="30" font-weight="bold" fill="${theme.white}">${SITE_NAME}</text>
+  <text x="${WIDTH - PADDING}" y="${HEIGHT - PADDING}" text-anchor="end" font-family="${FONT_FAMILY}" font-size="24" fill="${theme.light}">${escapeXml(site.host)}</text>
+  <rect y="${HEIGHT - 10}" width="${WIDTH}" height="10" fill="url(#rule)"/>
+</svg>`;
+}
+
+/**
+ * The card for one entry as a JPEG. The background is the 1200x630 crop
+ * scripts/generate-derivatives.js makes of the hero art, so the art has
+ * to be derived first (prebuild and predev do this).
+ */
+export async function renderOgCard(entry: CardEntry, site: URL): Promise<Buffer> {
+  const art = getEntryOgImage(entry);
+  const overlay = Buffer.from(overlaySvg(entry, site, art !== undefined));
+
+  const background = art
+    ? sharp(path.join(process.cwd(), 'public', art.src)).resize(WIDTH, HEIGHT, { fit: 'cover' })
+    : sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: theme.primary } });
+
+  return background
+    .composite([{ input: overlay }])
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toBuffer();
+}
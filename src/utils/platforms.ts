@@ -0,0 +1,39 @@
+// The platforms collection (src/content/platforms), as rendered by
+// PlatformCards and PlatformTable in MDX
+import { getEntry, type CollectionEntry } from 'astro:content';
+import pricing from '../data/pricing.json';
+
+export type Platform = CollectionEntry<'platforms'>;
+
+// Pricing older than this is flagged as possibly out of date. Set in
+// src/data/pricing.json, which scripts/report-platforms.js also reads.
+export const VERIFICATION_WINDOW_DAYS = pricing.verificationWindowDays;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Entries by id, in the order given. An unknown id fails the build, so a
+ * typo in an MDX prop can't silently drop a row.
+ */
+export async function getPlatforms(ids: string[]): Promise<Platform[]> {
+  return Promise.all(ids.map(async id => {
+    const platform = await getEntry('platforms', id);
+    if (!platform) {
+      throw new Error(`Unknown platform "${id}"; expected a file in src/content/platforms`);
+    }
+    return platform;
+  }));
+}
+
+// "Self-hosted: Free; Enterprise: Contact sales"
+export function formatPricing(platform: Platform): string {
+  return platform.data.pricing
+    .map(tier => (tier.plan ? `${tier.plan}: ${tier.price}` : tier.price))
+    .join('; ');
+}
+
+// Pricing nobody has checked yet counts as stale
+export function isStale(platform: Platform, now = new Date()): boolean {
+  const { lastVerified } = platform.data;
+  return !lastVerified || now.getTime() - lastVerified.getTime() > VERIFICATION_WINDOW_DAYS * DAY_MS;
+}
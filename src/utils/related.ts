@@ -0,0 +1,112 @@
+// Related articles and previous/next links for Learning Center article pages.
+// Everything here runs once per build, from getStaticPaths.
+import type { CollectionEntry } from 'astro:content';
+import { getCategories } from './content';
+import { groupByCategory } from './taxonomy';
+
+type LearnEntry = CollectionEntry<'learn'>;
+
+// Number of related articles shown under each article
+export const RELATED_ARTICLES = 3;
+
+// Explicit `related` frontmatter outranks every inferred signal
+const SCORE = {
+  related: 100,
+  link: 3, // per direction: A links to B, B links to A
+  tag: 2,
+  category: 1
+};
+
+// Root-relative or absolute links to learn articles, in Markdown or JSX
+const LEARN_LINK = /(?:https:\/\/aiperformanceoptimization\.com)?\/learn\/([a-z0-9-]+)(?=[)"'`#?\s]|$)/g;
+
+// Slugs of the learn articles an entry's body links to
+function linkedSlugs(entry: LearnEntry): Set<string> {
+  const slugs = new Set<string>();
+  for (const match of entry.body.matchAll(LEARN_LINK)) {
+    if (match[1] !== entry.slug) {
+      slugs.add(match[1]);
+    }
+  }
+  return slugs;
+}
+
+// Legacy content collections resolve references to { slug }
+function referencedSlugs(entry: LearnEntry): Set<string> {
+  return new Set(entry.data.related.map(ref => ('slug' in ref ? ref.slug : ref.id) as string));
+}
+
+function countShared(a: string[], b: string[]): number {
+  return a.filter(value => b.includes(value)).length;
+}
+
+/**
+ * Rank every other entry by relatedness to each entry and keep the top
+ * `limit`. Explicit `related` entries come first, in frontmatter order; the
+ * rest are scored by internal links between the two bodies, shared tags and
+ * shared categories, with ties in title order. Articles with no signal at
+ * all are only used to fill empty slots, taken from the categories after the
+ * entry's primary category in journey order (wrapping round to the start),
+ * so every page has somewhere to go next.
+ */
+export function getRelatedArticles(entries: LearnEntry[], limit = RELATED_ARTICLES): Map<string, LearnEntry[]> {
+  const groups = groupByCategory('learn', entries);
+  const journeyAfter = (entry: LearnEntry) => {
+    const start = groups.findIndex(({ category }) => category.name === getCategories(entry)[0]);
+    return [...groups.slice(start + 1), ...groups.slice(0, start)].flatMap(group => group.entries);
+  };
+  const links = new Map(entries.map(entry => [entry.slug, linkedSlugs(entry)]));
+  const related = new Map<string, LearnEntry[]>();
+
+  for (const entry of entries) {
+    const explicit = [...referencedSlugs(entry)];
+    const scored = entries
+      .filter(other => other.slug !== entry.slug)
+      .map(other => {
+        const explicitIndex = explicit.indexOf(other.slug);
+        let score = explicitIndex === -1 ? 0 : SCORE.related * (explicit.length - explicitIndex);
+        if (links.get(entry.slug)?.has(other.slug)) score += SCORE.link;
+        if (links.get(other.slug)?.has(entry.slug)) score += SCORE.link;
+        score += SCORE.tag * countShared(entry.data.tags, other.data.tags);
+        score += SCORE.category * countShared(getCategories(entry), getCategories(other));
+        return { other, score };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.other.data.title.localeCompare(b.other.data.title));
+
+    const picks = scored.slice(0, limit).map(({ other }) => other);
+    for (const other of journeyAfter(entry)) {
+      if (picks.length >= limit) break;
+      if (other !== entry && !picks.includes(other)) picks.push(other);
+    }
+    related.set(entry.slug, picks);
+  }
+
+  return related;
+}
+
+export interface JourneyLinks {
+  prev?: LearnEntry;
+  next?: LearnEntry;
+}
+
+/**
+ * Previous and next article within each entry's primary (first) category,
+ * in the order the category is listed on /learn and its landing page.
+ */
+export function getJourneyLinks(entries: LearnEntry[]): Map<string, JourneyLinks> {
+  const groups = groupByCategory('learn', entries);
+  const journey = new Map<string, JourneyLinks>();
+
+  for (const entry of entries) {
+    const group = groups.find(({ category }) => category.name === getCategories(entry)[0]);
+    const siblings = group?.entries ?? [];
+    const index = siblings.indexOf(entry);
+    journey.set(entry.slug, {
+      prev: index > 0 ? siblings[index - 1] : undefined,
+      next: index >= 0 ? siblings[index + 1] : undefined
+    });
+  }
+
+  return journey;
+}
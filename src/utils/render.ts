@@ -0,0 +1,23 @@
+// Rendered HTML of learn and blog entries outside of a page, for the feeds
+// and the search index. Each entry is rendered at most once per build.
+import { getContainerRenderer as getMDXRenderer } from '@astrojs/mdx';
+import { experimental_AstroContainer as AstroContainer } from 'astro/container';
+import { loadRenderers } from 'astro:container';
+import type { CollectionEntry } from 'astro:content';
+
+type RenderedEntry = CollectionEntry<'learn' | 'blog'>;
+
+let container: AstroContainer | undefined;
+const htmlCache = new Map<string, Promise<string>>();
+
+export function renderEntryHtml(entry: RenderedEntry): Promise<string> {
+  const key = `${entry.collection}/${entry.slug}`;
+  if (!htmlCache.has(key)) {
+    htmlCache.set(key, (async () => {
+      container ??= await AstroContainer.create({ renderers: await loadRenderers([getMDXRenderer()]) });
+      const { Content } = await entry.render();
+      return container.renderToString(Content);
+    })());
+  }
+  return htmlCache.get(key)!;
+}
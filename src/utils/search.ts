@@ -0,0 +1,194 @@
+// Client-side full-text search over the static index at /search-index.json,
+// which src/utils/searchIndex.ts builds from the rendered learn and blog
+// entries. Runs in the browser, so it must stay free of astro:* imports.
+
+export const SEARCH_INDEX_PATH = '/search-index.json';
+
+export interface SearchHeading {
+  id: string;
+  text: string;
+}
+
+export interface SearchDocument {
+  url: string;
+  title: string;
+  description: string;
+  collection: 'learn' | 'blog';
+  categories: string[];
+  tags: string[];
+  headings: SearchHeading[];
+  text: string;
+}
+
+export interface SearchIndex {
+  categories: { learn: string[]; blog: string[] };
+  documents: SearchDocument[];
+}
+
+export interface SearchResult {
+  document: SearchDocument;
+  score: number;
+  heading?: SearchHeading; // Best matching heading, for a deep link
+  snippet: SnippetPart[];
+}
+
+// Snippet text split into plain and highlighted runs
+export interface SnippetPart {
+  text: string;
+  match: boolean;
+}
+
+// Weight of one term occurrence in each field. Body matches are counted
+// with diminishing returns so long articles don't win on length alone.
+const WEIGHT = {
+  title: 10,
+  heading: 5,
+  taxonomy: 4, // Categories and tags
+  description: 3,
+  body: 1
+};
+
+// Extra score when the whole query appears as a phrase
+const PHRASE_BONUS = { title: 20, heading: 10, body: 5 };
+
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 200;
+
+let indexPromise: Promise<SearchIndex> | undefined;
+
+// Fetched once, on first use
+export function loadSearchIndex(): Promise<SearchIndex> {
+  indexPromise ??= fetch(SEARCH_INDEX_PATH).then(response => {
+    if (!response.ok) {
+      throw new Error(`Search index request failed: ${response.status}`);
+    }
+    return response.json() as Promise<SearchIndex>;
+  });
+  indexPromise.catch(() => {
+    indexPromise = undefined;
+  });
+  return indexPromise;
+}
+
+export function tokenize(query: string): string[] {
+  return [...new Set(query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 1))];
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Terms match at the start of a word, so "fail" finds "failover"
+function termPattern(terms: string[]): RegExp {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})`, 'giu');
+}
+
+function countMatches(text: string, pattern: RegExp): number {
+  return text.match(pattern)?.length ?? 0;
+}
+
+/**
+ * Rank documents against the query. Every term has to match somewhere in a
+ * document; results are ordered by weighted field matches, with a bonus
+ * for the exact phrase. `category` limits results to one category name.
+ */
+export function search(index: SearchIndex, query: string, category = ''): SearchResult[] {
+  const terms = tokenize(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const patterns = terms.map(term => termPattern([term]));
+  const phrase = terms.length > 1 ? terms.join(' ') : '';
+  const results: SearchResult[] = [];
+
+  for (const document of index.documents) {
+    if (category && !document.categories.includes(category)) {
+      continue;
+    }
+
+    const taxonomy = [...document.categories, ...document.tags].join(' ');
+    let score = 0;
+    let everyTermMatches = true;
+
+    for (const pattern of patterns) {
+      const title = countMatches(document.title, pattern);
+      const headings = document.headings.reduce((sum, heading) => sum + countMatches(heading.text, pattern), 0);
+      const description = countMatches(document.description, pattern);
+      const tags = countMatches(taxonomy, pattern);
+      const body = countMatches(document.text, pattern);
+      if (title + headings + description + tags + body === 0) {
+        everyTermMatches = false;
+        break;
+      }
+      score += WEIGHT.title * title
+        + WEIGHT.heading * headings
+        + WEIGHT.description * description
+        + WEIGHT.taxonomy * tags
+        + WEIGHT.body * Math.log2(1 + body);
+    }
+    if (!everyTermMatches) {
+      continue;
+    }
+
+    const text = document.text.toLowerCase();
+    if (phrase) {
+      if (document.title.toLowerCase().includes(phrase)) score += PHRASE_BONUS.title;
+      if (document.headings.some(heading => heading.text.toLowerCase().includes(phrase))) score += PHRASE_BONUS.heading;
+      if (text.includes(phrase)) score += PHRASE_BONUS.body;
+    }
+
+    const all = termPattern(terms);
+    const heading = document.headings
+      .map(candidate => ({ candidate, matches: countMatches(candidate.text, all) }))
+      .filter(({ matches }) => matches > 0)
+      .sort((a, b) => b.matches - a.matches)[0]?.candidate;
+
+    results.push({
+      document,
+      score,
+      heading,
+      snippet: snippet(document, terms, phrase)
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.document.title.localeCompare(b.document.title));
+}
+
+// A window of body text around the first match (preferring the phrase),
+// falling back to the description when only the title or taxonomy matched
+function snippet(document: SearchDocument, terms: string[], phrase: string): SnippetPart[] {
+  const text = document.text;
+  const lower = text.toLowerCase();
+  let at = phrase ? lower.indexOf(phrase) : -1;
+  if (at === -1) {
+    at = lower.search(termPattern(terms));
+  }
+  if (at === -1) {
+    return highlight(document.description, terms);
+  }
+
+  let start = Math.max(0, at - SNIPPET_BEFORE);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  // Trim to whole words
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > at ? text.lastIndexOf(' ', end) : end;
+
+  const parts = highlight(text.slice(start, end), terms);
+  if (start > 0) parts.unshift({ text: '… ', match: false });
+  if (end < text.length) parts.push({ text: ' …', match: false });
+  return parts;
+}
+
+function highlight(text: string, terms: string[]): SnippetPart[] {
+  const parts: SnippetPart[] = [];
+  let last = 0;
+  // Highlight the rest of the word, so "fail" marks all of "failover"
+  for (const match of text.matchAll(new RegExp(`${termPattern(terms).source}[\\p{L}\\p{N}]*`, 'giu'))) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index), match: false });
+    parts.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), match: false });
+  return parts;
+}
@@ -0,0 +1,68 @@
+// Builds the static search index served at /search-index.json: plain text
+// and headings extracted from every published learn and blog entry.
+import type { CollectionEntry } from 'astro:content';
+import { getCategories, getPublishedCollection } from './content';
+import { renderEntryHtml } from './render';
+import { BLOG_CATEGORIES, LEARN_CATEGORIES } from './taxonomy';
+import type { SearchDocument, SearchHeading, SearchIndex } from './search';
+
+const ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code: string) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(point);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Code blocks are most of the rendered text but rarely what people search
+// for, so they are left out to keep the index small; inline code stays
+function htmlToText(html: string): string {
+  return decodeEntities(html
+    .replace(/<(script|style|pre)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// h2 and h3 carry the ids generated for in-page anchors
+function extractHeadings(html: string): SearchHeading[] {
+  return [...html.matchAll(/<h([23])\b[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/h\1>/gi)]
+    .map(([, , id, inner]) => ({ id, text: htmlToText(inner) }))
+    .filter(heading => heading.text);
+}
+
+async function toDocument(entry: CollectionEntry<'learn' | 'blog'>): Promise<SearchDocument> {
+  const html = await renderEntryHtml(entry);
+  return {
+    url: `/${entry.collection}/${entry.slug}`,
+    title: entry.data.title,
+    description: entry.data.description,
+    collection: entry.collection,
+    categories: getCategories(entry),
+    tags: entry.data.tags,
+    headings: extractHeadings(html),
+    text: htmlToText(html)
+  };
+}
+
+export async function buildSearchIndex(): Promise<SearchIndex> {
+  const entries = [
+    ...await getPublishedCollection('learn'),
+    ...await getPublishedCollection('blog')
+  ];
+  return {
+    categories: { learn: [...LEARN_CATEGORIES], blog: [...BLOG_CATEGORIES] },
+    documents: await Promise.all(entries.map(toDocument))
+  };
+}
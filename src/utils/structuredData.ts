@@ -0,0 +1,280 @@
+// JSON-LD for Layout's <head>. Builders for the node types the site emits,
+// and a validator that checks every node against the slice of the
+// schema.org vocabulary below, so a typo in a property or a wrong value
+// type fails the build instead of silently losing rich results.
+import type { CollectionEntry } from 'astro:content';
+import { getCategories, isoDate } from './content';
+import { getEntryOgImage } from './entryImage';
+import { getCategory } from './taxonomy';
+
+export type JsonLdNode = { '@type': string; '@context'?: string } & Record<string, unknown>;
+
+export interface FaqItem {
+  question: string;
+  answer: string;
+}
+
+const CONTEXT = 'https://schema.org';
+const ORGANIZATION_NAME = 'AI Performance Optimization';
+
+const SECTIONS = {
+  learn: { name: 'Learning Center', path: '/learn' },
+  blog: { name: 'Blog', path: '/blog' }
+};
+
+function absolute(path: string, site: URL): string {
+  return new URL(path, site).href;
+}
+
+function organization(site: URL): JsonLdNode {
+  return { '@type': 'Organization', name: ORGANIZATION_NAME, url: site.origin };
+}
+
+export function webPageSchema(page: { title: string; description: string; url: string }): JsonLdNode {
+  return {
+    '@context': CONTEXT,
+    '@type': 'WebPage',
+    name: page.title,
+    description: page.description,
+    url: page.url
+  };
+}
+
+/**
+ * Article (or BlogPosting) for a learn or blog entry. The image is the
+ * hero's Open Graph crop, when the entry has generated art.
+ */
+export function articleSchema(
+  entry: CollectionEntry<'learn' | 'blog'>,
+  { url, wordCount, site }: { url: string; wordCount: number; site: URL }
+): JsonLdNode {
+  const og = getEntryOgImage(entry);
+
+  return {
+    '@context': CONTEXT,
+    '@type': entry.collection === 'blog' ? 'BlogPosting' : 'Article',
+    headline: entry.data.title,
+    description: entry.data.description,
+    url,
+    mainEntityOfPage: url,
+    datePublished: isoDate(entry.data.publishedDate),
+    dateModified: isoDate(entry.data.updatedDate ?? entry.data.publishedDate),
+    author: entry.data.author
+      ? { '@type': 'Person', name: entry.data.author }
+      : organization(site),
+    publisher: organization(site),
+    articleSection: getCategories(entry),
+    ...(entry.data.tags.length > 0 && { keywords: entry.data.tags.join(', ') }),
+    wordCount,
+    inLanguage: 'en',
+    ...(og?.width && og.height && {
+      image: { '@type': 'ImageObject', url: absolute(og.src, site), width: og.width, height: og.height }
+    })
+  };
+}
+
+// Home → section → primary category → entry
+export function articleBreadcrumbSchema(entry: CollectionEntry<'learn' | 'blog'>, { url, site }: { url: string; site: URL }): JsonLdNode {
+  const section = SECTIONS[entry.collection];
+  const category = getCategory(entry.collection, getCategories(entry)[0]);
+  return breadcrumbSchema([
+    { name: 'Home', url: site.origin },
+    { name: section.name, url: absolute(section.path, site) },
+    { name: category.name, url: absolute(`${section.path}/category/${category.slug}`, site) },
+    { name: entry.data.title, url }
+  ]);
+}
+
+export function breadcrumbSchema(items: { name: string; url: string }[]): JsonLdNode {
+  return {
+    '@context': CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: item.name,
+      item: item.url
+    }))
+  };
+}
+
+// Questions collected from <FAQ> blocks by src/plugins/remark-faq.js
+export function faqSchema(items: FaqItem[], page: { name: string; url: string }): JsonLdNode {
+  return {
+    '@context': CONTEXT,
+    '@type': 'FAQPage',
+    name: page.name,
+    url: page.url,
+    mainEntity: items.map(item => ({
+      '@type': 'Question',
+      name: item.question,
+      acceptedAnswer: { '@type': 'Answer', text: item.answer }
+    }))
+  };
+}
+
+/**
+ * Everything a learn article or blog post page emits: the Article, its
+ * breadcrumb trail and, when the body has <FAQ> blocks, an FAQPage.
+ * `wordCount` and `faq` come from the entry's remarkPluginFrontmatter.
+ */
+export function articlePageSchemas(
+  entry: CollectionEntry<'learn' | 'blog'>,
+  { url, site, wordCount, faq = [] }: { url: string; site: URL; wordCount: number; faq?: FaqItem[] }
+): JsonLdNode[] {
+  return [
+    articleSchema(entry, { url, wordCount, site }),
+    articleBreadcrumbSchema(entry, { url, site }),
+    ...(faq.length > 0 ? [faqSchema(faq, { name: entry.data.title, url })] : [])
+  ];
+}
+
+// Validation
+
+type DataType = 'Text' | 'URL' | 'Date' | 'DateTime' | 'Integer';
+
+interface TypeDefinition {
+  parent?: string;
+  properties?: Record<string, string[]>; // Property → accepted data types or schema.org types
+  required?: string[];
+}
+
+// The schema.org types and properties this site uses, with their parents so
+// inherited properties and subtypes are accepted. Extend it when emitting a
+// new type or property; see https://schema.org/<Type>.
+const VOCABULARY: Record<string, TypeDefinition> = {
+  Thing: {
+    properties: {
+      name: ['Text'],
+      description: ['Text'],
+      url: ['URL'],
+      image: ['URL', 'ImageObject'],
+      mainEntityOfPage: ['URL', 'CreativeWork'],
+      sameAs: ['URL']
+    }
+  },
+  CreativeWork: {
+    parent: 'Thing',
+    properties: {
+      headline: ['Text'],
+      author: ['Person', 'Organization'],
+      publisher: ['Person', 'Organization'],
+      datePublished: ['Date', 'DateTime'],
+      dateModified: ['Date', 'DateTime'],
+      keywords: ['Text'],
+      inLanguage: ['Text'],
+      mainEntity: ['Thing'],
+      text: ['Text'],
+      isPartOf: ['CreativeWork']
+    }
+  },
+  Article: {
+    parent: 'CreativeWork',
+    properties: { articleSection: ['Text'], wordCount: ['Integer'] },
+    required: ['headline', 'datePublished']
+  },
+  BlogPosting: { parent: 'Article' },
+  WebPage: {
+    parent: 'CreativeWork',
+    properties: { breadcrumb: ['BreadcrumbList'] },
+    required: ['name']
+  },
+  FAQPage: { parent: 'WebPage', required: ['mainEntity'] },
+  Question: {
+    parent: 'CreativeWork',
+    properties: { acceptedAnswer: ['Answer'] },
+    required: ['name', 'acceptedAnswer']
+  },
+  Answer: { parent: 'CreativeWork', required: ['text'] },
+  MediaObject: {
+    parent: 'CreativeWork',
+    properties: { contentUrl: ['URL'], width: ['Integer'], height: ['Integer'] }
+  },
+  ImageObject: { parent: 'MediaObject', required: ['url'] },
+  Intangible: { parent: 'Thing' },
+  ItemList: {
+    parent: 'Intangible',
+    properties: { itemListElement: ['ListItem'] },
+    required: ['itemListElement']
+  },
+  BreadcrumbList: { parent: 'ItemList' },
+  ListItem: {
+    parent: 'Intangible',
+    properties: { position: ['Integer'], item: ['URL', 'Thing'] },
+    required: ['position', 'name']
+  },
+  Person: { parent: 'Thing', required: ['name'] },
+  Organization: {
+    parent: 'Thing',
+    properties: { logo: ['URL', 'ImageObject'] },
+    required: ['name']
+  }
+};
+
+const DATA_TYPES: Record<DataType, (value: unknown) => boolean> = {
+  Text: value => typeof value === 'string' && value.trim() !== '',
+  URL: value => typeof value === 'string' && URL.canParse(value),
+  Date: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  DateTime: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value)),
+  Integer: value => Number.isInteger(value)
+};
+
+function ancestry(type: string): string[] {
+  const chain: string[] = [];
+  for (let current: string | undefined = type; current; current = VOCABULARY[current]?.parent) {
+    chain.push(current);
+  }
+  return chain;
+}
+
+function isNode(value: unknown): value is JsonLdNode {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && typeof (value as JsonLdNode)['@type'] === 'string';
+}
+
+function validateNode(node: JsonLdNode, path: string, problems: string[]) {
+  const type = node['@type'];
+  if (!VOCABULARY[type]) {
+    problems.push(`${path}: unknown type ${type}`);
+    return;
+  }
+
+  const chain = ancestry(type);
+  const definitions = chain.map(name => VOCABULARY[name]);
+  for (const property of definitions.flatMap(definition => definition.required ?? [])) {
+    if (node[property] === undefined) {
+      problems.push(`${path}: ${type} is missing ${property}`);
+    }
+  }
+
+  for (const [property, value] of Object.entries(node)) {
+    if (property.startsWith('@')) continue;
+    const expected = definitions.find(definition => definition.properties?.[property])?.properties?.[property];
+    if (!expected) {
+      problems.push(`${path}.${property}: not a property of ${type}`);
+      continue;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item, index) => {
+      const itemPath = Array.isArray(value) ? `${path}.${property}[${index}]` : `${path}.${property}`;
+      if (isNode(item)) {
+        if (!expected.some(name => ancestry(item['@type']).includes(name))) {
+          problems.push(`${itemPath}: expected ${expected.join(' or ')}, got ${item['@type']}`);
+        }
+        validateNode(item, itemPath, problems);
+      } else if (!expected.some(name => DATA_TYPES[name as DataType]?.(item))) {
+        problems.push(`${itemPath}: expected ${expected.join(' or ')}, got ${JSON.stringify(item)}`);
+      }
+    });
+  }
+}
+
+// Problems with a top-level JSON-LD node, as "path: message" strings
+export function validateJsonLd(node: JsonLdNode): string[] {
+  const problems: string[] = [];
+  if (node['@context'] !== CONTEXT) {
+    problems.push(`@context must be ${CONTEXT}`);
+  }
+  validateNode(node, node['@type'] ?? '(no @type)', problems);
+  return problems;
+}
@@ -0,0 +1,60 @@
+// Categories for the learn and blog collections. Each collection's list is
+// in journey order, the order readers should work through it. The data lives
+// in src/data/taxonomy.json so node scripts can read it as well.
+// src/content.config.ts imports this module, so it must not import
+// astro:content at runtime.
+import type { CollectionEntry } from 'astro:content';
+import taxonomy from '../data/taxonomy.json';
+
+type TaxonomyCollection = 'learn' | 'blog';
+
+export interface Category {
+  name: string;
+  slug: string;
+  description: string;
+  image?: string; // Hero art under public/images
+}
+
+type CategoryNames = [string, ...string[]];
+
+const CATEGORIES: Record<TaxonomyCollection, Category[]> = taxonomy;
+
+// Category names for z.enum() in src/content.config.ts
+export const LEARN_CATEGORIES = CATEGORIES.learn.map(category => category.name) as CategoryNames;
+export const BLOG_CATEGORIES = CATEGORIES.blog.map(category => category.name) as CategoryNames;
+
+export function getTaxonomy(collection: TaxonomyCollection): Category[] {
+  return CATEGORIES[collection];
+}
+
+// The schema only admits names from the taxonomy, so a miss is a bug
+export function getCategory(collection: TaxonomyCollection, name: string): Category {
+  const category = CATEGORIES[collection].find(c => c.name === name);
+  if (!category) {
+    throw new Error(`Unknown ${collection} category: ${name}`);
+  }
+  return category;
+}
+
+export function categoryPath(collection: TaxonomyCollection, name: string): string {
+  return `/${collection}/category/${getCategory(collection, name).slug}`;
+}
+
+/**
+ * Group entries by category in journey order, skipping empty categories.
+ * An entry appears under each of its categories; within a category entries
+ * are sorted by title.
+ */
+export function groupByCategory<C extends TaxonomyCollection>(
+  collection: C,
+  entries: CollectionEntry<C>[]
+): { category: Category; entries: CollectionEntry<C>[] }[] {
+  return CATEGORIES[collection]
+    .map(category => ({
+      category,
+      entries: entries
+        .filter(entry => entry.data.category.includes(category.name))
+        .sort((a, b) => a.data.title.localeCompare(b.data.title))
+    }))
+    .filter(group => group.entries.length > 0);
+}